@@ -1,11 +1,53 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { useSocket } from './socket/socket';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { useSocket, authenticate, isCommand } from './socket/socket';
+import ThreadPanel from './components/ThreadPanel';
+import MentionsPanel from './components/MentionsPanel';
+import Attachment from './components/Attachment';
+import Markdown, { InlineMarkdown } from './components/Markdown';
 
 // Notification sound
 const notificationSound = new Audio('https://cdn.pixabay.com/audio/2022/07/26/audio_124bfa1c82.mp3');
 
+// Typing stops after a short pause; while it lasts it is repeated so the
+// server does not expire it
+const TYPING_IDLE_MS = 1500;
+const TYPING_REFRESH_MS = 2000;
+
+// "Ann is typing…", "Ann and Bo are typing…", "Ann, Bo and 2 others are typing…"
+const describeTyping = (names) => {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  if (names.length === 3) return `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+  return `${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+};
+
+const STATUS_COLORS = { online: '#4CAF50', busy: '#f44336', away: '#ff9800', offline: '#bbb' };
+const STATUS_ORDER = Object.keys(STATUS_COLORS);
+
+// "just now", "5m ago", "3h ago", then the date
+const formatLastSeen = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+// Splits text around @names; odd entries are the mentions. A trailing dot
+// or dash ends the sentence rather than the name.
+const MENTION_PATTERN = /(?<![\w@])(@[A-Za-z0-9_.-]*[A-Za-z0-9_])/;
+// Mentions that reach everyone in the room
+const BROADCAST_MENTIONS = ['here', 'room'];
+
+// Composer text worth previewing: emphasis, code, links, quotes, lists or
+// more than one line
+const MARKDOWN_HINT = /[*_`\n]|\[[^\]]*\]\(|^\s*(>|[-+]\s|\d+[.)]\s)/m;
+
 const AdvancedChat = () => {
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [authMode, setAuthMode] = useState('login');
+  const [authenticating, setAuthenticating] = useState(false);
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [connected, setConnected] = useState(false);
@@ -13,9 +55,16 @@ const AdvancedChat = () => {
   const [showPrivateChat, setShowPrivateChat] = useState(false);
   const [fileInput, setFileInput] = useState(null);
   const [toast, setToast] = useState(null);
-  const [unreadCounts, setUnreadCounts] = useState({});
   const [searchQuery, setSearchQuery] = useState('');
   const [showSearch, setShowSearch] = useState(false);
+  const [newRoomName, setNewRoomName] = useState('');
+  const [newRoomPrivate, setNewRoomPrivate] = useState(false);
+  const [roomMembers, setRoomMembers] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [commandList, setCommandList] = useState([]);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [showMentions, setShowMentions] = useState(false);
   const inputRef = useRef(null);
   const messagesEndRef = useRef(null);
   const typingTimeout = useRef(null);
@@ -26,24 +75,68 @@ const AdvancedChat = () => {
     isConnected,
     messages,
     users,
+    presence,
     typingUsers,
+    privateTypingUsers,
     rooms,
+    roomInvites,
+    activeThread,
     currentRoom,
     privateMessages,
     selectedUser,
+    conversations,
+    unreadCounts,
+    readReceipts,
     loadingMore,
     hasMoreMessages,
+    connectionError,
+    socketError,
+    slowDown,
+    currentUser,
     connect,
+    reconnect,
     disconnect,
     sendMessage,
+    listCommands,
+    mentions,
+    lastMention,
+    loadMentions,
     sendPrivateMessage,
+    sendPrivateFile,
+    retryMessage,
+    discardMessage,
     joinRoom,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    inviteToRoom,
+    acceptInvite,
+    declineInvite,
+    leaveRoom,
+    getRoomMembers,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    removeMessage,
+    setRoomRole,
     loadMoreMessages,
     setTyping,
+    setPrivateTyping,
+    setStatus,
     sendFile,
     addReaction,
-    markAsRead,
+    markRead,
+    editMessage,
+    deleteMessage,
+    openThread,
+    loadMoreThread,
+    closeThread,
+    sendReply,
     setSelectedUser,
+    openConversation,
+    loadMoreConversation,
   } = useSocket();
 
   // Window focus tracking for notifications
@@ -65,6 +158,13 @@ const AdvancedChat = () => {
     }
   }, []);
 
+  // Errors the server reported without an ack to attach them to
+  useEffect(() => {
+    if (socketError) {
+      setToast({ type: 'system', text: socketError.message });
+    }
+  }, [socketError]);
+
   // Toast auto-hide
   useEffect(() => {
     if (toast) {
@@ -81,11 +181,41 @@ const AdvancedChat = () => {
   // Infinite scroll handler
   const handleScroll = (e) => {
     const { scrollTop } = e.target;
-    if (scrollTop === 0 && hasMoreMessages && !loadingMore && !showPrivateChat) {
+    if (scrollTop !== 0 || loadingMore) return;
+    if (showPrivateChat && selectedUser) {
+      loadMoreConversation(selectedUser.id);
+    } else if (!showPrivateChat && hasMoreMessages) {
       loadMoreMessages();
     }
   };
 
+  // Unread counts are kept by the server per room and conversation
+  const unreadIn = (channel) => unreadCounts[channel]?.unread || 0;
+  const mentionsIn = (channel) => unreadCounts[channel]?.mentions || 0;
+  const unreadMentions = Object.values(unreadCounts).reduce((total, counts) => total + (counts.mentions || 0), 0);
+  const unreadFrom = (userId) => {
+    const conversation = conversations.find(c => c.userId === userId);
+    return conversation ? unreadIn(conversation.id) : 0;
+  };
+
+  // Whatever is on screen counts as read up to its newest stored message
+  useEffect(() => {
+    if (!connected || document.visibilityState === 'hidden') return;
+    const visible = showPrivateChat && selectedUser ? privateMessages[selectedUser.id] || [] : messages;
+    const latest = [...visible].reverse().find(msg =>
+      !msg.system && (!msg.status || msg.status === 'delivered') && (msg.conversationId || msg.room)
+    );
+    if (latest) {
+      markRead(latest.conversationId || latest.room, latest.id);
+    }
+  }, [messages, privateMessages, selectedUser, showPrivateChat, connected]);
+
+  // Names of the other people who have read up to a message
+  const readersOf = (msg) =>
+    Object.entries(readReceipts[msg.conversationId || msg.room] || {})
+      .filter(([readerId, reader]) => readerId !== currentUser?.id && String(reader.messageId) >= String(msg.id))
+      .map(([, reader]) => reader.username);
+
   // Notification logic for new messages
   useEffect(() => {
     if (!connected || !username) return;
@@ -106,14 +236,23 @@ const AdvancedChat = () => {
       type: 'message',
       text: `New message from ${lastMsg.sender}${lastMsg.room ? ' in #' + lastMsg.room : ''}`
     });
-    // Unread count
-    if (showPrivateChat && selectedUser && lastMsg.senderId === selectedUser.id) {
-      setUnreadCounts((prev) => ({ ...prev, [selectedUser.id]: 0 }));
-    } else if (!showPrivateChat && lastMsg.room && lastMsg.room !== currentRoom) {
-      setUnreadCounts((prev) => ({ ...prev, [lastMsg.room]: (prev[lastMsg.room] || 0) + 1 }));
-    }
   }, [messages, privateMessages, currentRoom, selectedUser, connected, username]);
 
+  // Mentions in other rooms would go unseen otherwise
+  useEffect(() => {
+    if (!lastMention) return;
+    const where = rooms.find(room => room.id === lastMention.room)?.name || lastMention.room;
+    if (windowFocused.current === false && Notification && Notification.permission === 'granted') {
+      new Notification(`${lastMention.sender} mentioned you in #${where}`, {
+        body: lastMention.message,
+        icon: '/vite.svg',
+      });
+    }
+    if (lastMention.room !== currentRoom || showPrivateChat) {
+      setToast({ type: 'message', text: `${lastMention.sender} mentioned you in #${where}` });
+    }
+  }, [lastMention]);
+
   // Notification for user join/leave
   useEffect(() => {
     if (!connected) return;
@@ -123,28 +262,41 @@ const AdvancedChat = () => {
     }
   }, [messages, connected]);
 
+  // Stay in the chat while the session lasts, even if the socket drops;
+  // messages sent meanwhile wait in the outbox
   useEffect(() => {
-    setConnected(isConnected);
-  }, [isConnected]);
+    setConnected(Boolean(currentUser));
+  }, [currentUser]);
 
-  // Handle typing indicator
+  // Handle typing indicator for the open room or conversation. Switching
+  // away stops it where it was.
+  const typingWith = showPrivateChat && selectedUser ? selectedUser.id : null;
   useEffect(() => {
-    if (isTyping) {
-      setTyping(true, currentRoom);
-      if (typingTimeout.current) clearTimeout(typingTimeout.current);
-      typingTimeout.current = setTimeout(() => {
-        setIsTyping(false);
-        setTyping(false, currentRoom);
-      }, 1500);
-    } else {
-      setTyping(false, currentRoom);
-    }
+    if (!isTyping) return undefined;
+    const notify = (typing) => (typingWith ? setPrivateTyping(typing, typingWith) : setTyping(typing, currentRoom));
+    notify(true);
+    const refresh = setInterval(() => notify(true), TYPING_REFRESH_MS);
     return () => {
-      if (typingTimeout.current) clearTimeout(typingTimeout.current);
+      clearInterval(refresh);
+      notify(false);
     };
-  }, [isTyping, currentRoom, setTyping]);
+  }, [isTyping, currentRoom, typingWith]);
+
+  useEffect(() => () => clearTimeout(typingTimeout.current), []);
+
+  const handleTypingActivity = () => {
+    setIsTyping(true);
+    clearTimeout(typingTimeout.current);
+    typingTimeout.current = setTimeout(() => setIsTyping(false), TYPING_IDLE_MS);
+  };
 
-  const handleConnect = () => {
+  // Everyone else typing where we are looking
+  const typingHere = (typingWith ? privateTypingUsers[typingWith] : typingUsers[currentRoom]) || [];
+  const typingNames = typingHere
+    .filter(user => user.userId !== currentUser?.id)
+    .map(user => user.username);
+
+  const handleConnect = async () => {
     const trimmedUsername = username.trim();
     setUsernameError('');
     
@@ -158,16 +310,26 @@ const AdvancedChat = () => {
       return;
     }
     
-    const isUsernameTaken = users.some(user => 
-      user.username.toLowerCase() === trimmedUsername.toLowerCase()
-    );
-    
-    if (isUsernameTaken) {
-      setUsernameError('Username is already taken');
+    if (!password) {
+      setUsernameError('Password is required');
       return;
     }
     
-    connect(trimmedUsername);
+    setAuthenticating(true);
+    try {
+      const user = await authenticate(trimmedUsername, password, authMode);
+      const ack = await connect(user.username);
+      if (ack.success) {
+        setUsername(ack.user.username);
+        setPassword('');
+      } else {
+        setUsernameError(ack.error.message);
+      }
+    } catch (err) {
+      setUsernameError(err.message);
+    } finally {
+      setAuthenticating(false);
+    }
   };
 
   const handleSend = (e) => {
@@ -175,52 +337,352 @@ const AdvancedChat = () => {
     if (input.trim()) {
       if (showPrivateChat && selectedUser) {
         sendPrivateMessage(selectedUser.id, input.trim());
-        setUnreadCounts((prev) => ({ ...prev, [selectedUser.id]: 0 }));
       } else {
         sendMessage(input.trim(), currentRoom);
-        setUnreadCounts((prev) => ({ ...prev, [currentRoom]: 0 }));
       }
       setInput('');
+      clearTimeout(typingTimeout.current);
       setIsTyping(false);
-      setTyping(false, currentRoom);
     }
   };
 
   const handleInputChange = (e) => {
     setInput(e.target.value);
-    setIsTyping(true);
+    setSuggestionIndex(0);
+    handleTypingActivity();
   };
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      if (showPrivateChat && selectedUser) {
-        alert('File sharing in private messages coming soon!');
-      } else {
-        sendFile(file, currentRoom);
-        setUnreadCounts((prev) => ({ ...prev, [currentRoom]: 0 }));
+  // The commands available in this room, for the autocomplete popup
+  useEffect(() => {
+    if (!connected) return;
+    listCommands(currentRoom).then(ack => {
+      if (ack.success) setCommandList(ack.commands);
+    });
+  }, [connected, currentRoom]);
+
+  // Commands only run in rooms. While the name is being typed the popup
+  // lists matching commands; after it, how to use the one typed. The popup
+  // also completes @names.
+  const commandInput = !showPrivateChat && isCommand(input) ? input.slice(1) : null;
+  const commandName = commandInput !== null ? commandInput.split(/\s/)[0].toLowerCase() : '';
+  const typedCommand = commandInput !== null && /\s/.test(commandInput)
+    ? commandList.find(command => command.name === commandName)
+    : null;
+  // An @name being typed at the end of a room message
+  const mentionQuery = !showPrivateChat && commandInput === null ? input.match(/(?:^|\s)@([\w.-]*)$/) : null;
+
+  // Popup entries: { key, label, detail, text to put in the input, whether it is typed out in full }
+  const suggestions = commandInput !== null && !/\s/.test(commandInput)
+    ? commandList
+      .filter(command => command.name.startsWith(commandName))
+      .map(command => ({
+        key: command.name,
+        label: command.usage,
+        detail: command.description,
+        text: `/${command.name}${command.args.length > 0 ? ' ' : ''}`,
+        complete: command.name === commandName,
+      }))
+    : mentionQuery
+      ? [
+        ...users
+          .filter(user => user.userId !== currentUser?.id)
+          .map(user => ({ name: user.username, detail: user.statusMessage || user.status })),
+        { name: 'here', detail: 'Everyone online who can read this room' },
+        { name: 'room', detail: 'Everyone who can read this room' },
+      ]
+        .filter(({ name }) => name.toLowerCase().startsWith(mentionQuery[1].toLowerCase()))
+        .slice(0, 8)
+        .map(({ name, detail }) => ({
+          key: name,
+          label: `@${name}`,
+          detail,
+          text: `${input.slice(0, input.length - mentionQuery[1].length)}${name} `,
+          complete: name.toLowerCase() === mentionQuery[1].toLowerCase(),
+        }))
+      : [];
+  const selectedSuggestion = suggestions[Math.min(suggestionIndex, suggestions.length - 1)];
+
+  const applySuggestion = (suggestion) => {
+    setInput(suggestion.text);
+    setSuggestionIndex(0);
+    inputRef.current?.focus();
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setSuggestionIndex(index => (index + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Tab' || (e.key === 'Enter' && !selectedSuggestion.complete)) {
+        // Enter sends once the word is typed out in full
+        e.preventDefault();
+        applySuggestion(selectedSuggestion);
+        return;
       }
     }
+    // Enter sends; Shift+Enter starts a new line, e.g. inside a code block
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      handleSend(e);
+    }
+  };
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
+    if (!file) return;
+    
+    let ack;
+    if (showPrivateChat && selectedUser) {
+      ack = await sendPrivateFile(selectedUser.id, file);
+    } else {
+      ack = await sendFile(file, currentRoom);
+    }
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleReaction = async (messageId, reaction) => {
+    const ack = await addReaction(messageId, reaction);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
   };
 
-  const handleReaction = (messageId, reaction) => {
-    addReaction(messageId, reaction);
+  // Names for the users behind a reaction, from whoever we have seen online
+  // or posting; reactions only store user ids
+  const reactorNames = (userIds) => {
+    const names = new Map(messages.map(msg => [msg.userId, msg.sender]));
+    users.forEach(user => names.set(user.userId, user.username));
+    return userIds
+      .map(id => (id === currentUser?.id ? 'You' : names.get(id) || 'someone'))
+      .join(', ');
   };
 
-  const handlePrivateChat = (user) => {
-    setSelectedUser(user);
+  // Online users first, then everyone else by how recently they were here
+  const people = Object.values(presence).sort((a, b) =>
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+    (b.lastSeenAt || '').localeCompare(a.lastSeenAt || '') ||
+    a.username.localeCompare(b.username)
+  );
+  const ownPresence = presence[currentUser?.id];
+
+  const handleStatusChange = async (status) => {
+    const ack = await setStatus(status);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleStatusMessage = async () => {
+    const statusMessage = window.prompt('Status message (leave empty to clear)', ownPresence?.statusMessage || '');
+    if (statusMessage === null) return;
+    
+    const ack = await setStatus(undefined, statusMessage);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handlePrivateChat = async (user) => {
     setShowPrivateChat(true);
-    setUnreadCounts((prev) => ({ ...prev, [user.id]: 0 }));
+    const ack = await openConversation({ id: user.userId || user.id, username: user.username });
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
   };
 
-  const handleRoomChange = (room) => {
-    joinRoom(room);
+  const handleToggleMentions = () => {
+    if (!showMentions) {
+      // Catch up on edits and deletions in rooms we were not watching
+      loadMentions();
+      closeThread();
+    }
+    setShowMentions(!showMentions);
+  };
+
+  const handleOpenMention = async (msg) => {
+    if (msg.room !== currentRoom || showPrivateChat) {
+      await handleRoomChange(msg.room);
+    }
+    if (msg.parentId) {
+      handleOpenThread(msg.parentId);
+    }
+  };
+
+  const handleRoomChange = async (room) => {
+    const ack = await joinRoom(room);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+      return;
+    }
     setShowPrivateChat(false);
     setSelectedUser(null);
-    setUnreadCounts((prev) => ({ ...prev, [room]: 0 }));
+    setRoomMembers(null);
+  };
+
+  const activeRoom = rooms.find(room => room.id === currentRoom);
+  const roomLabel = activeRoom ? activeRoom.name : currentRoom;
+  const canManageRoom = Boolean(activeRoom?.createdBy && activeRoom.createdBy.id === currentUser?.id);
+  // Room owners and server staff pick the room's moderators
+  const canAssignRoles = activeRoom?.role === 'owner' || (currentUser?.role && currentUser.role !== 'user');
+
+  const handleCreateRoom = async (e) => {
+    e.preventDefault();
+    const name = newRoomName.trim();
+    if (!name) return;
+    
+    const ack = await createRoom({ name, visibility: newRoomPrivate ? 'private' : 'public' });
+    if (ack.success) {
+      setNewRoomName('');
+      setNewRoomPrivate(false);
+      handleRoomChange(ack.room.id);
+    } else {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleEditRoom = async () => {
+    const name = window.prompt('Room name', activeRoom.name);
+    if (name === null) return;
+    const topic = window.prompt('Room topic', activeRoom.topic);
+    if (topic === null) return;
+    
+    const ack = await updateRoom(activeRoom.id, { name, topic });
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleArchiveRoom = async () => {
+    if (!window.confirm(`Archive #${activeRoom.name}? Its history is kept but it leaves the room list.`)) return;
+    
+    const ack = await archiveRoom(activeRoom.id);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleInvite = async () => {
+    const name = window.prompt(`Invite someone to #${activeRoom.name} (username)`);
+    if (!name) return;
+    
+    const invitee = users.find(user => user.username.toLowerCase() === name.trim().toLowerCase());
+    if (!invitee) {
+      setToast({ type: 'system', text: `${name} is not online` });
+      return;
+    }
+    
+    const ack = await inviteToRoom(activeRoom.id, invitee.userId);
+    setToast({ type: 'system', text: ack.success ? `Invited ${invitee.username}` : ack.error.message });
+  };
+
+  const handleLeaveRoom = async () => {
+    if (!window.confirm(`Leave #${activeRoom.name}? You will need a new invite to come back.`)) return;
+    
+    const ack = await leaveRoom(activeRoom.id);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleToggleMembers = async () => {
+    if (roomMembers) {
+      setRoomMembers(null);
+      return;
+    }
+    
+    const ack = await getRoomMembers(currentRoom);
+    if (ack.success) {
+      setRoomMembers(ack.members);
+    } else {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  // Moderation from the members panel. The server checks every action
+  // against the caller's rank, so these only decide what to offer.
+  const runModeration = async (request, doneText) => {
+    const ack = await request;
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+      return;
+    }
+    setToast({ type: 'system', text: doneText });
+    // Roles and membership may have changed
+    const members = await getRoomMembers(currentRoom);
+    if (members.success) {
+      setRoomMembers(members.members);
+    }
+  };
+
+  // Reason and length of a ban or mute; null when cancelled
+  const promptRestriction = (action, member) => {
+    const reason = window.prompt(`Reason to ${action} ${member.username} (optional)`, '');
+    if (reason === null) return null;
+    const minutes = window.prompt('For how many minutes? Leave empty for no time limit', '');
+    if (minutes === null) return null;
+    if (!minutes.trim()) return { reason };
+
+    const duration = Math.round(Number(minutes) * 60);
+    if (!(duration > 0)) {
+      setToast({ type: 'system', text: 'Enter a number of minutes' });
+      return null;
+    }
+    return { reason, duration };
+  };
+
+  const handleKick = (member) => {
+    const reason = window.prompt(`Reason to remove ${member.username} from #${roomLabel} (optional)`, '');
+    if (reason === null) return;
+    runModeration(kickUser(currentRoom, member.id, reason), `Removed ${member.username} from #${roomLabel}`);
+  };
+
+  const handleBan = (member, { serverWide = false } = {}) => {
+    const restriction = promptRestriction(serverWide ? 'ban from the whole chat' : `ban from #${roomLabel}`, member);
+    if (!restriction) return;
+    runModeration(
+      banUser(serverWide ? null : currentRoom, member.id, restriction),
+      serverWide ? `Banned ${member.username} from the chat` : `Banned ${member.username} from #${roomLabel}`
+    );
+  };
+
+  const handleMute = (member) => {
+    const restriction = promptRestriction(`mute in #${roomLabel}`, member);
+    if (!restriction) return;
+    runModeration(muteUser(currentRoom, member.id, restriction), `Muted ${member.username} in #${roomLabel}`);
+  };
+
+  const handleToggleModerator = (member) => {
+    const role = member.role === 'moderator' ? 'member' : 'moderator';
+    runModeration(
+      setRoomRole(currentRoom, member.id, role),
+      role === 'moderator' ? `${member.username} now moderates #${roomLabel}` : `${member.username} no longer moderates #${roomLabel}`
+    );
+  };
+
+  const displayName = (userId) => presence[userId]?.username || userId;
+
+  const handleUnban = (entry) => {
+    runModeration(unbanUser(currentRoom, entry.userId), `Unbanned ${displayName(entry.userId)}`);
+  };
+
+  const handleUnmute = (entry) => {
+    runModeration(unmuteUser(currentRoom, entry.userId), `Unmuted ${displayName(entry.userId)}`);
+  };
+
+  const handleInviteResponse = async (roomId, accept) => {
+    const ack = accept ? await acceptInvite(roomId) : await declineInvite(roomId);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    } else if (accept) {
+      handleRoomChange(roomId);
+    }
   };
 
   const getCurrentMessages = () => {
@@ -242,9 +704,93 @@ const AdvancedChat = () => {
     return currentMessages;
   };
 
-  const renderMessage = (msg) => {
-    const isOwnMessage = msg.sender === username || msg.sender === 'You';
+  const handleStartEdit = (msg) => {
+    setEditingMessageId(msg.id);
+    setEditText(msg.message);
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const ack = await editMessage(editingMessageId, editText);
+    if (ack.success) {
+      setEditingMessageId(null);
+    } else {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleDeleteMessage = async (msg) => {
+    if (!window.confirm('Delete this message?')) return;
+    
+    const ack = await deleteMessage(msg.id);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleRemoveMessage = async (msg) => {
+    const reason = window.prompt(`Remove this message from ${msg.sender}? Reason (optional)`, '');
+    if (reason === null) return;
+
+    const ack = await removeMessage(msg.id, reason);
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleOpenThread = async (messageId) => {
+    const ack = await openThread(messageId);
+    if (ack.success) {
+      // The thread takes the mentions panel's place
+      setShowMentions(false);
+    } else {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  const handleLoadMoreThread = async () => {
+    const ack = await loadMoreThread();
+    if (!ack.success) {
+      setToast({ type: 'system', text: ack.error.message });
+    }
+  };
+
+  // @names of people we know, plus @here and @room, stand out; the ones
+  // that reach us get a background too. renderText keeps its identity
+  // while these are unchanged, so rendered messages are reused between
+  // keystrokes.
+  const knownNames = useMemo(
+    () => new Set(Object.values(presence).map(user => user.username.toLowerCase())),
+    [presence]
+  );
+  const myName = currentUser?.username.toLowerCase();
+  const renderText = useCallback((text) => text.split(MENTION_PATTERN).map((part, index) => {
+    const name = part.slice(1).toLowerCase();
+    if (index % 2 === 0 || !(knownNames.has(name) || BROADCAST_MENTIONS.includes(name))) return part;
+    const reachesMe = BROADCAST_MENTIONS.includes(name) || name === myName;
+    return (
+      <span
+        key={index}
+        style={{ color: '#1565c0', fontWeight: 'bold', background: reachesMe ? '#ffe0b2' : 'none', borderRadius: 3, padding: reachesMe ? '0 2px' : 0 }}
+      >
+        {part}
+      </span>
+    );
+  }), [knownNames, myName]);
+
+  const renderMessage = (msg, { inThread = false } = {}) => {
+    const isOwnMessage = msg.sender === username || msg.sender === 'You' || (currentUser && msg.userId === currentUser.id);
     const isFile = msg.isFile;
+    const isStoredMessage = !msg.status || msg.status === 'delivered';
+    // Only stored room messages can be changed, and only by their sender;
+    // moderators remove other people's messages instead
+    const canChangeMessage = Boolean(msg.room) && !msg.isPrivate && !msg.deleted &&
+      msg.status !== 'pending' && isOwnMessage;
+    const canRemoveMessage = Boolean(msg.room) && !msg.isPrivate && !msg.deleted &&
+      msg.status !== 'pending' && !isOwnMessage && Boolean(activeRoom?.canModerate);
+    const mentionsMe = !isOwnMessage && (msg.annotations?.mentions || []).includes(currentUser?.id);
+    // Threads hang off top-level room messages
+    const canReply = !inThread && Boolean(msg.room) && !msg.isPrivate && !msg.parentId && msg.status !== 'pending';
     
     return (
       <div 
@@ -253,14 +799,13 @@ const AdvancedChat = () => {
           marginBottom: 12,
           padding: '8px 12px',
           borderRadius: 8,
-          backgroundColor: isOwnMessage ? '#e3f2fd' : '#f5f5f5',
-          border: isOwnMessage ? '1px solid #2196f3' : '1px solid #e0e0e0',
+          backgroundColor: isOwnMessage ? '#e3f2fd' : mentionsMe ? '#fff8e1' : '#f5f5f5',
+          border: isOwnMessage ? '1px solid #2196f3' : mentionsMe ? '1px solid #ffb74d' : '1px solid #e0e0e0',
           position: 'relative'
         }}
-        onMouseEnter={() => markAsRead(msg.id)}
       >
         {msg.system ? (
-          <em style={{ color: '#888', fontSize: 12 }}>{msg.message}</em>
+          <em style={{ color: '#888', fontSize: 12, whiteSpace: 'pre-line' }}>{msg.message}</em>
         ) : (
           <>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 }}>
@@ -276,50 +821,81 @@ const AdvancedChat = () => {
               </span>
             </div>
             <div style={{ color: '#333', wordBreak: 'break-word' }}>
-              {isFile ? (
+              {msg.deleted ? (
+                <em style={{ color: '#888' }}>
+                  {msg.removed
+                    ? `Removed by ${msg.deletedBy?.username || 'a moderator'}${msg.removalReason ? `: ${msg.removalReason}` : ''}`
+                    : 'This message was deleted'}
+                </em>
+              ) : editingMessageId === msg.id ? (
+                <form onSubmit={handleSaveEdit} style={{ display: 'flex', gap: 4 }}>
+                  <input
+                    type="text"
+                    value={editText}
+                    onChange={e => setEditText(e.target.value)}
+                    onKeyDown={e => e.key === 'Escape' && setEditingMessageId(null)}
+                    autoFocus
+                    style={{ flex: 1, padding: '4px 8px', border: '1px solid #ddd', borderRadius: 4 }}
+                  />
+                  <button type="submit" disabled={!editText.trim()} style={{ fontSize: 12 }}>Save</button>
+                  <button type="button" onClick={() => setEditingMessageId(null)} style={{ fontSize: 12 }}>Cancel</button>
+                </form>
+              ) : isFile ? (
                 <div>
                   <div style={{ fontWeight: 'bold', marginBottom: 4 }}>
                     📎 {msg.fileName}
                   </div>
-                  {msg.fileType.startsWith('image/') ? (
-                    <img 
-                      src={msg.file} 
-                      alt={msg.fileName}
-                      style={{ maxWidth: '100%', maxHeight: 200, borderRadius: 4 }}
-                    />
-                  ) : (
-                    <a 
-                      href={msg.file} 
-                      download={msg.fileName}
-                      style={{ color: '#2196f3', textDecoration: 'none' }}
-                    >
-                      📄 Download {msg.fileName}
-                    </a>
+                  {msg.message && (
+                    <div style={{ marginBottom: 4 }}>
+                      <Markdown text={msg.message} renderText={renderText} />
+                    </div>
                   )}
+                  <Attachment file={msg.file} name={msg.fileName} type={msg.fileType} />
                 </div>
               ) : (
-                msg.message
+                <>
+                  {msg.action ? (
+                    <em>* {msg.sender} <InlineMarkdown text={msg.message} renderText={renderText} /></em>
+                  ) : (
+                    <Markdown text={msg.message} renderText={renderText} />
+                  )}
+                  {msg.editedAt && (
+                    <span
+                      title={(msg.edits || []).map(edit => `${new Date(edit.timestamp).toLocaleString()}: ${edit.message}`).join('\n')}
+                      style={{ color: '#999', fontSize: 11, marginLeft: 6 }}
+                    >
+                      (edited)
+                    </span>
+                  )}
+                </>
               )}
             </div>
             
             {/* Reactions */}
             {msg.reactions && Object.keys(msg.reactions).length > 0 && (
               <div style={{ marginTop: 8, display: 'flex', gap: 4, flexWrap: 'wrap' }}>
-                {Object.entries(msg.reactions).map(([reaction, count]) => (
-                  <span 
-                    key={reaction}
-                    style={{
-                      background: '#e0e0e0',
-                      padding: '2px 6px',
-                      borderRadius: 12,
-                      fontSize: 12,
-                      cursor: 'pointer'
-                    }}
-                    onClick={() => handleReaction(msg.id, reaction)}
-                  >
-                    {reaction} {count}
-                  </span>
-                ))}
+                {Object.entries(msg.reactions).map(([reaction, reactors]) => {
+                  // Older messages stored a bare count
+                  const userIds = Array.isArray(reactors) ? reactors : [];
+                  const reacted = userIds.includes(currentUser?.id);
+                  return (
+                    <span 
+                      key={reaction}
+                      title={userIds.length > 0 ? reactorNames(userIds) : undefined}
+                      style={{
+                        background: reacted ? '#bbdefb' : '#e0e0e0',
+                        border: reacted ? '1px solid #2196f3' : '1px solid transparent',
+                        padding: '2px 6px',
+                        borderRadius: 12,
+                        fontSize: 12,
+                        cursor: 'pointer'
+                      }}
+                      onClick={() => handleReaction(msg.id, reaction)}
+                    >
+                      {reaction} {Array.isArray(reactors) ? reactors.length : reactors}
+                    </span>
+                  );
+                })}
               </div>
             )}
             
@@ -333,16 +909,47 @@ const AdvancedChat = () => {
                 }}>
                   {msg.status === 'pending' ? '⏳ Sending...' : 
                    msg.status === 'delivered' ? '✓ Delivered' : 
-                   msg.status === 'failed' ? '✗ Failed' : ''}
+                   msg.status === 'failed' ? `✗ Failed${msg.error ? `: ${msg.error.message}` : ''}` : ''}
+                  {msg.status === 'failed' && (
+                    <>
+                      <button
+                        onClick={() => retryMessage(msg.id)}
+                        style={{ background: 'none', border: 'none', color: '#2196f3', cursor: 'pointer', fontSize: 10, padding: '0 4px' }}
+                      >
+                        Retry
+                      </button>
+                      <button
+                        onClick={() => discardMessage(msg.id)}
+                        style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer', fontSize: 10, padding: '0 4px' }}
+                      >
+                        Discard
+                      </button>
+                    </>
+                  )}
                 </span>
               )}
-              {isOwnMessage && msg.readBy && msg.readBy.length > 0 && (
-                <span>Read by: {msg.readBy.join(', ')}</span>
+              {isOwnMessage && isStoredMessage && readersOf(msg).length > 0 && (
+                <span>Read by: {readersOf(msg).join(', ')}</span>
               )}
             </div>
             
-            {/* Reaction buttons */}
-            {!msg.system && (
+            {/* Thread summary */}
+            {canReply && msg.replyCount > 0 && (
+              <div
+                onClick={() => handleOpenThread(msg.id)}
+                style={{ marginTop: 6, fontSize: 12, color: '#1976d2', cursor: 'pointer' }}
+              >
+                💬 {msg.replyCount} {msg.replyCount === 1 ? 'reply' : 'replies'}
+                {msg.lastReply && (
+                  <span style={{ color: '#888' }}>
+                    {' '}· last from {msg.lastReply.sender} at {new Date(msg.lastReply.timestamp).toLocaleTimeString()}
+                  </span>
+                )}
+              </div>
+            )}
+            
+            {/* Reaction buttons; reactions belong to room messages */}
+            {!msg.system && !msg.deleted && !msg.isPrivate && (
               <div style={{ marginTop: 8, display: 'flex', gap: 4 }}>
                 {['👍', '❤️', '😂', '😮', '😢', '😡'].map(reaction => (
                   <button
@@ -360,6 +967,38 @@ const AdvancedChat = () => {
                     {reaction}
                   </button>
                 ))}
+                {canReply && (
+                  <button
+                    onClick={() => handleOpenThread(msg.id)}
+                    style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 6px', cursor: 'pointer', fontSize: 12 }}
+                  >
+                    Reply
+                  </button>
+                )}
+                {canChangeMessage && !isFile && (
+                  <button
+                    onClick={() => handleStartEdit(msg)}
+                    style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 6px', cursor: 'pointer', fontSize: 12, marginLeft: 'auto' }}
+                  >
+                    Edit
+                  </button>
+                )}
+                {canChangeMessage && (
+                  <button
+                    onClick={() => handleDeleteMessage(msg)}
+                    style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 6px', cursor: 'pointer', fontSize: 12, marginLeft: isFile ? 'auto' : 0, color: '#f44336' }}
+                  >
+                    Delete
+                  </button>
+                )}
+                {canRemoveMessage && (
+                  <button
+                    onClick={() => handleRemoveMessage(msg)}
+                    style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 6px', cursor: 'pointer', fontSize: 12, marginLeft: 'auto', color: '#f44336' }}
+                  >
+                    Remove
+                  </button>
+                )}
               </div>
             )}
           </>
@@ -411,6 +1050,21 @@ const AdvancedChat = () => {
               value={username}
               onChange={e => setUsername(e.target.value)}
               onKeyDown={e => e.key === 'Enter' && handleConnect()}
+              style={{ 
+                padding: 8, 
+                width: '70%', 
+                marginRight: 8,
+                marginBottom: 8,
+                border: usernameError ? '1px solid #f44336' : '1px solid #ccc',
+                borderRadius: 4
+              }}
+            />
+            <input
+              type="password"
+              placeholder={authMode === 'register' ? 'Choose a password (min 6 characters)' : 'Password'}
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleConnect()}
               style={{ 
                 padding: 8, 
                 width: '70%', 
@@ -422,14 +1076,26 @@ const AdvancedChat = () => {
             <button 
               onClick={handleConnect} 
               style={{ padding: 8 }}
-              disabled={!username.trim()}
+              disabled={!username.trim() || !password || authenticating}
             >
-              Join Chat
+              {authenticating ? 'Please wait...' : authMode === 'register' ? 'Register' : 'Log In'}
             </button>
           </div>
-          {usernameError && (
+          <div style={{ fontSize: 14 }}>
+            {authMode === 'register' ? 'Already have an account? ' : 'New here? '}
+            <button
+              onClick={() => {
+                setAuthMode(authMode === 'register' ? 'login' : 'register');
+                setUsernameError('');
+              }}
+              style={{ background: 'none', border: 'none', color: '#2196f3', cursor: 'pointer', padding: 0 }}
+            >
+              {authMode === 'register' ? 'Log in' : 'Create an account'}
+            </button>
+          </div>
+          {(usernameError || connectionError) && (
             <div style={{ color: '#f44336', fontSize: 14, marginTop: 4 }}>
-              {usernameError}
+              {usernameError || connectionError}
             </div>
           )}
         </div>
@@ -437,71 +1103,226 @@ const AdvancedChat = () => {
         <div style={{ display: 'flex', gap: isMobile ? 8 : 16, flexDirection: isMobile ? 'column' : 'row' }}>
           {/* Sidebar */}
           <div style={{ width: isMobile ? '100%' : 250, order: isMobile ? 2 : 1 }}>
+            {/* Mentions across all rooms */}
+            <button
+              onClick={handleToggleMentions}
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                marginBottom: 16,
+                background: showMentions ? '#fff3e0' : '#fff',
+                border: '1px solid #eee',
+                borderRadius: 4,
+                textAlign: 'left',
+                cursor: 'pointer',
+                display: 'flex',
+                justifyContent: 'space-between'
+              }}
+            >
+              <strong style={{ color: '#333' }}>@ Mentions</strong>
+              {unreadMentions > 0 && (
+                <span style={{ background: '#ff9800', color: 'white', borderRadius: 10, padding: '0 8px', fontSize: 12 }}>
+                  {unreadMentions}
+                </span>
+              )}
+            </button>
+
             {/* Rooms */}
             <div style={{ background: '#fff', border: '1px solid #eee', borderRadius: 4, padding: 12, marginBottom: 16 }}>
               <strong style={{ color: '#333', marginBottom: 8, display: 'block' }}>Chat Rooms</strong>
               {rooms.map(room => (
                 <div
-                  key={room}
-                  onClick={() => handleRoomChange(room)}
+                  key={room.id}
+                  onClick={() => handleRoomChange(room.id)}
+                  title={room.topic || room.description}
                   style={{
                     padding: '8px 12px',
                     cursor: 'pointer',
                     borderRadius: 4,
                     marginBottom: 4,
-                    backgroundColor: currentRoom === room ? '#e3f2fd' : 'transparent',
-                    color: currentRoom === room ? '#1976d2' : '#333',
-                    fontWeight: currentRoom === room ? 'bold' : 'normal',
+                    backgroundColor: currentRoom === room.id ? '#e3f2fd' : 'transparent',
+                    color: currentRoom === room.id ? '#1976d2' : '#333',
+                    fontWeight: currentRoom === room.id ? 'bold' : 'normal',
                     display: 'flex',
                     alignItems: 'center',
                     justifyContent: 'space-between'
                   }}
                 >
-                  <span>#{room}</span>
-                  {unreadCounts[room] > 0 && (
-                    <span style={{
-                      background: '#f44336',
-                      color: 'white',
-                      borderRadius: 12,
-                      padding: '2px 8px',
-                      fontSize: 12,
-                      marginLeft: 8
-                    }}>{unreadCounts[room]}</span>
+                  <span>{room.visibility === 'private' ? '🔒' : '#'}{room.name}</span>
+                  {unreadIn(room.id) > 0 && (
+                    <span
+                      title={mentionsIn(room.id) > 0 ? `${mentionsIn(room.id)} mentioning you` : undefined}
+                      style={{
+                        background: mentionsIn(room.id) > 0 ? '#ff9800' : '#f44336',
+                        color: 'white',
+                        borderRadius: 12,
+                        padding: '2px 8px',
+                        fontSize: 12,
+                        marginLeft: 8
+                      }}
+                    >
+                      {mentionsIn(room.id) > 0 && '@'}{unreadIn(room.id)}
+                    </span>
                   )}
                 </div>
               ))}
+              <form onSubmit={handleCreateRoom} style={{ display: 'flex', gap: 4, marginTop: 8 }}>
+                <input
+                  type="text"
+                  placeholder="New room"
+                  value={newRoomName}
+                  onChange={e => setNewRoomName(e.target.value)}
+                  style={{ flex: 1, minWidth: 0, padding: '4px 8px', border: '1px solid #ddd', borderRadius: 4, fontSize: 12 }}
+                />
+                <button
+                  type="submit"
+                  disabled={!newRoomName.trim()}
+                  style={{ background: '#2196f3', color: 'white', border: 'none', borderRadius: 4, padding: '4px 8px', fontSize: 12, cursor: 'pointer' }}
+                >
+                  +
+                </button>
+              </form>
+              <label style={{ display: 'block', fontSize: 12, color: '#666', marginTop: 4 }}>
+                <input
+                  type="checkbox"
+                  checked={newRoomPrivate}
+                  onChange={e => setNewRoomPrivate(e.target.checked)}
+                />{' '}
+                Private (invite only)
+              </label>
             </div>
 
+            {/* Room invites */}
+            {roomInvites.length > 0 && (
+              <div style={{ background: '#fff8e1', border: '1px solid #ffe082', borderRadius: 4, padding: 12, marginBottom: 16 }}>
+                <strong style={{ color: '#333', marginBottom: 8, display: 'block' }}>Invites</strong>
+                {roomInvites.map(invite => (
+                  <div key={invite.room.id} style={{ fontSize: 13, marginBottom: 8 }}>
+                    <div>
+                      <strong>{invite.invitedBy.username}</strong> invited you to 🔒{invite.room.name}
+                    </div>
+                    <button
+                      onClick={() => handleInviteResponse(invite.room.id, true)}
+                      style={{ background: '#4caf50', color: 'white', border: 'none', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginTop: 4, marginRight: 4, cursor: 'pointer' }}
+                    >
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => handleInviteResponse(invite.room.id, false)}
+                      style={{ background: '#666', color: 'white', border: 'none', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginTop: 4, cursor: 'pointer' }}
+                    >
+                      Decline
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Direct messages, including users who are offline */}
+            {conversations.length > 0 && (
+              <div style={{ background: '#fff', border: '1px solid #eee', borderRadius: 4, padding: 12, marginBottom: 16 }}>
+                <strong style={{ color: '#333', marginBottom: 8, display: 'block' }}>Direct Messages</strong>
+                {conversations.map(conversation => (
+                  <div
+                    key={conversation.id}
+                    onClick={() => handlePrivateChat(conversation.user)}
+                    style={{
+                      padding: '6px 8px',
+                      cursor: 'pointer',
+                      borderRadius: 4,
+                      marginBottom: 4,
+                      backgroundColor: showPrivateChat && selectedUser?.id === conversation.userId ? '#e3f2fd' : 'transparent',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between'
+                    }}
+                  >
+                    <div style={{ minWidth: 0 }}>
+                      <div style={{ fontSize: 14, fontWeight: unreadIn(conversation.id) > 0 ? 'bold' : 'normal' }}>
+                        {conversation.user.username}
+                      </div>
+                      {conversation.lastMessage && (
+                        <div style={{ fontSize: 12, color: '#888', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {conversation.lastMessage.userId === currentUser?.id ? 'You: ' : ''}
+                          {conversation.lastMessage.message ||
+                            (conversation.lastMessage.isFile ? `📎 ${conversation.lastMessage.fileName}` : '')}
+                        </div>
+                      )}
+                    </div>
+                    {unreadIn(conversation.id) > 0 && (
+                      <span style={{
+                        background: '#f44336',
+                        color: 'white',
+                        borderRadius: 12,
+                        padding: '2px 8px',
+                        fontSize: 12,
+                        marginLeft: 8
+                      }}>{unreadIn(conversation.id)}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Users */}
             <div style={{ background: '#fff', border: '1px solid #eee', borderRadius: 4, padding: 12 }}>
               <strong style={{ color: '#333', marginBottom: 8, display: 'block' }}>
-                Online Users ({users.length})
+                People ({users.length} online)
               </strong>
+              {ownPresence && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: 4, marginBottom: 8 }}>
+                  <select
+                    value={ownPresence.status}
+                    onChange={(e) => handleStatusChange(e.target.value)}
+                    style={{ fontSize: 12, padding: '2px 4px', border: '1px solid #ddd', borderRadius: 4 }}
+                  >
+                    <option value="online">Online</option>
+                    <option value="away">Away</option>
+                    <option value="busy">Busy</option>
+                  </select>
+                  <button
+                    onClick={handleStatusMessage}
+                    style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 8px', fontSize: 12, cursor: 'pointer' }}
+                  >
+                    {ownPresence.statusMessage ? 'Edit status' : 'Set status'}
+                  </button>
+                </div>
+              )}
               <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
-                {users.map(user => (
+                {people.map(user => (
                   <li key={user.id} style={{ 
                     padding: '4px 0',
                     display: 'flex',
                     alignItems: 'center',
                     justifyContent: 'space-between'
                   }}>
-                    <div style={{ display: 'flex', alignItems: 'center' }}>
-                      <span style={{
+                    <div style={{ display: 'flex', alignItems: 'center', minWidth: 0 }}>
+                      <span title={user.status} style={{
                         width: 8,
                         height: 8,
                         borderRadius: '50%',
-                        backgroundColor: '#4CAF50',
+                        backgroundColor: STATUS_COLORS[user.status],
                         marginRight: 8,
+                        flexShrink: 0,
                         display: 'inline-block'
                       }}></span>
-                      <span style={{ 
-                        color: user.username === username ? '#007bff' : '#333',
-                        fontSize: 14
-                      }}>
-                        {user.username} {user.username === username && '(You)'}
-                      </span>
+                      <div style={{ minWidth: 0 }}>
+                        <div style={{ 
+                          color: user.userId === currentUser?.id ? '#007bff' : user.status === 'offline' ? '#999' : '#333',
+                          fontSize: 14
+                        }}>
+                          {user.username} {user.userId === currentUser?.id && '(You)'}
+                        </div>
+                        {(user.statusMessage || user.status === 'offline') && (
+                          <div style={{ fontSize: 12, color: '#888', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {user.statusMessage}
+                            {user.statusMessage && user.status === 'offline' && ' · '}
+                            {user.status === 'offline' && user.lastSeenAt && `last seen ${formatLastSeen(user.lastSeenAt)}`}
+                          </div>
+                        )}
+                      </div>
                     </div>
-                    {user.username !== username && (
+                    {user.userId !== currentUser?.id && (
                       <button
                         onClick={() => handlePrivateChat(user)}
                         style={{
@@ -516,7 +1337,7 @@ const AdvancedChat = () => {
                         }}
                       >
                         PM
-                        {unreadCounts[user.id] > 0 && (
+                        {unreadFrom(user.userId) > 0 && (
                           <span style={{
                             background: '#f44336',
                             color: 'white',
@@ -527,7 +1348,7 @@ const AdvancedChat = () => {
                             position: 'absolute',
                             top: -8,
                             right: -16
-                          }}>{unreadCounts[user.id]}</span>
+                          }}>{unreadFrom(user.userId)}</span>
                         )}
                       </button>
                     )}
@@ -550,8 +1371,92 @@ const AdvancedChat = () => {
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: showSearch ? 12 : 0 }}>
                 <div>
                   <strong style={{ color: '#333' }}>
-                    {showPrivateChat ? `Private Chat with ${selectedUser?.username}` : `#${currentRoom}`}
+                    {showPrivateChat ? `Private Chat with ${selectedUser?.username}` : `#${roomLabel}`}
                   </strong>
+                  {!showPrivateChat && activeRoom?.topic && (
+                    <span style={{ color: '#666', fontSize: 13, marginLeft: 8 }}>{activeRoom.topic}</span>
+                  )}
+                  {!showPrivateChat && canManageRoom && (
+                    <>
+                      <button
+                        onClick={handleEditRoom}
+                        style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginLeft: 8, cursor: 'pointer' }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={handleArchiveRoom}
+                        style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginLeft: 4, cursor: 'pointer' }}
+                      >
+                        Archive
+                      </button>
+                    </>
+                  )}
+                  {!showPrivateChat && (
+                    <button
+                      onClick={handleToggleMembers}
+                      style={{ background: roomMembers ? '#e3f2fd' : 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginLeft: 8, cursor: 'pointer' }}
+                    >
+                      Members
+                    </button>
+                  )}
+                  {!showPrivateChat && activeRoom?.visibility === 'private' && (
+                    <>
+                      <button
+                        onClick={handleInvite}
+                        style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginLeft: 4, cursor: 'pointer' }}
+                      >
+                        Invite
+                      </button>
+                      <button
+                        onClick={handleLeaveRoom}
+                        style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '2px 8px', fontSize: 12, marginLeft: 4, cursor: 'pointer' }}
+                      >
+                        Leave
+                      </button>
+                    </>
+                  )}
+                  {!showPrivateChat && roomMembers && (
+                    <div style={{ fontSize: 12, color: '#666', marginTop: 6 }}>
+                      {roomMembers.length === 0 ? 'Nobody else is here' : roomMembers.map(member => {
+                        const canActOn = activeRoom?.canModerate && member.id !== currentUser?.id && member.role !== 'owner';
+                        return (
+                          <div key={member.id} style={{ display: 'flex', alignItems: 'center', gap: 4, marginBottom: 2 }}>
+                            <span style={{ color: member.online ? '#4CAF50' : '#bbb' }}>●</span> {member.username}
+                            {member.role !== 'member' && <span style={{ color: '#999' }}>({member.role})</span>}
+                            {canActOn && (
+                              <>
+                                <button onClick={() => handleKick(member)} style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '0 6px', fontSize: 11, cursor: 'pointer', marginLeft: 4 }}>Kick</button>
+                                <button onClick={() => handleMute(member)} style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '0 6px', fontSize: 11, cursor: 'pointer' }}>Mute</button>
+                                <button onClick={() => handleBan(member)} style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '0 6px', fontSize: 11, cursor: 'pointer', color: '#f44336' }}>Ban</button>
+                                {canAssignRoles && (
+                                  <button onClick={() => handleToggleModerator(member)} style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '0 6px', fontSize: 11, cursor: 'pointer' }}>
+                                    {member.role === 'moderator' ? 'Remove mod' : 'Make mod'}
+                                  </button>
+                                )}
+                                {currentUser?.role && currentUser.role !== 'user' && (
+                                  <button onClick={() => handleBan(member, { serverWide: true })} style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '0 6px', fontSize: 11, cursor: 'pointer', color: '#f44336' }}>Server ban</button>
+                                )}
+                              </>
+                            )}
+                          </div>
+                        );
+                      })}
+                      {activeRoom?.canModerate && [
+                        ...(activeRoom.bans || []).map(entry => ({ ...entry, kind: 'Banned', lift: handleUnban, liftLabel: 'Unban' })),
+                        ...(activeRoom.mutes || []).map(entry => ({ ...entry, kind: 'Muted', lift: handleUnmute, liftLabel: 'Unmute' })),
+                      ].filter(entry => !entry.expiresAt || new Date(entry.expiresAt) > new Date()).map(entry => (
+                        <div key={`${entry.kind}-${entry.userId}`} style={{ display: 'flex', alignItems: 'center', gap: 4, marginBottom: 2, color: '#999' }}>
+                          {entry.kind}: {displayName(entry.userId)}
+                          {entry.expiresAt && ` until ${new Date(entry.expiresAt).toLocaleString()}`}
+                          {entry.reason && ` (${entry.reason})`}
+                          <button onClick={() => entry.lift(entry)} style={{ background: 'none', border: '1px solid #ddd', borderRadius: 4, padding: '0 6px', fontSize: 11, cursor: 'pointer', marginLeft: 4 }}>
+                            {entry.liftLabel}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   {showPrivateChat && (
                     <button
                       onClick={() => setShowPrivateChat(false)}
@@ -566,7 +1471,7 @@ const AdvancedChat = () => {
                         cursor: 'pointer'
                       }}
                     >
-                      Back to #{currentRoom}
+                      Back to #{roomLabel}
                     </button>
                   )}
                 </div>
@@ -627,6 +1532,29 @@ const AdvancedChat = () => {
               )}
             </div>
 
+            {/* Connection status */}
+            {!isConnected && (
+              <div style={{
+                background: '#fff3e0',
+                border: '1px solid #ffb74d',
+                borderRadius: 4,
+                padding: '8px 12px',
+                marginBottom: 16,
+                fontSize: 14,
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center'
+              }}>
+                <span>Connection lost. Messages you send will be delivered when you reconnect.</span>
+                <button
+                  onClick={reconnect}
+                  style={{ background: '#ff9800', color: 'white', border: 'none', borderRadius: 4, padding: '4px 8px', fontSize: 12, cursor: 'pointer' }}
+                >
+                  Reconnect
+                </button>
+              </div>
+            )}
+
             {/* Messages */}
             <div 
               style={{ 
@@ -650,13 +1578,89 @@ const AdvancedChat = () => {
                   {searchQuery ? 'No messages found matching your search.' : 'No messages yet. Start the conversation!'}
                 </div>
               ) : (
-                getCurrentMessages().map(renderMessage)
+                getCurrentMessages().map(msg => renderMessage(msg))
               )}
               <div ref={messagesEndRef} />
             </div>
 
+            {/* Flood protection notice; queued messages go out once it passes */}
+            {slowDown && (
+              <div style={{
+                background: '#fff3e0',
+                border: '1px solid #ffb74d',
+                color: '#e65100',
+                borderRadius: 4,
+                padding: '6px 12px',
+                fontSize: 13,
+                marginBottom: 8
+              }}>
+                {slowDown.message}
+              </div>
+            )}
+
+            {/* Formatting preview; the message is sent as typed */}
+            {input.trim() && !isCommand(input) && MARKDOWN_HINT.test(input) && (
+              <div style={{
+                background: '#fafafa',
+                border: '1px dashed #ddd',
+                borderRadius: 4,
+                padding: '6px 12px',
+                fontSize: 14,
+                color: '#333',
+                marginBottom: 8,
+                maxHeight: 160,
+                overflowY: 'auto'
+              }}>
+                <div style={{ fontSize: 11, color: '#999', marginBottom: 4 }}>Preview</div>
+                <Markdown text={input} renderText={renderText} />
+              </div>
+            )}
+
             {/* Input Area */}
-            <form onSubmit={handleSend} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <form onSubmit={handleSend} style={{ display: 'flex', alignItems: 'center', gap: 8, position: 'relative' }}>
+              {(suggestions.length > 0 || typedCommand) && (
+                <div style={{
+                  position: 'absolute',
+                  bottom: '100%',
+                  left: 0,
+                  right: 0,
+                  marginBottom: 4,
+                  background: 'white',
+                  border: '1px solid #ddd',
+                  borderRadius: 4,
+                  boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+                  fontSize: 13,
+                  zIndex: 10
+                }}>
+                  {typedCommand ? (
+                    <div style={{ padding: '6px 12px', color: '#666' }}>
+                      <strong style={{ color: '#333' }}>{typedCommand.usage}</strong> {typedCommand.description}
+                      {typedCommand.args.map(arg => (
+                        <div key={arg.name} style={{ fontSize: 12, marginTop: 2 }}>
+                          {arg.name}{arg.optional ? ' (optional)' : ''}: {arg.description}
+                        </div>
+                      ))}
+                    </div>
+                  ) : suggestions.map(suggestion => (
+                    <div
+                      key={suggestion.key}
+                      onMouseDown={e => {
+                        // Keep focus in the input
+                        e.preventDefault();
+                        applySuggestion(suggestion);
+                      }}
+                      style={{
+                        padding: '6px 12px',
+                        cursor: 'pointer',
+                        background: suggestion === selectedSuggestion ? '#e3f2fd' : 'white'
+                      }}
+                    >
+                      <strong>{suggestion.label}</strong>
+                      <span style={{ color: '#888', marginLeft: 8 }}>{suggestion.detail}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
               <input
                 ref={fileInputRef}
                 type="file"
@@ -677,19 +1681,22 @@ const AdvancedChat = () => {
               >
                 📎
               </button>
-              <input
+              <textarea
                 ref={inputRef}
-                type="text"
-                placeholder="Type a message..."
+                placeholder="Type a message... (Shift+Enter for a new line)"
                 value={input}
+                rows={Math.min(6, input.split('\n').length)}
                 onChange={handleInputChange}
-                onFocus={() => setIsTyping(true)}
+                onKeyDown={handleInputKeyDown}
+                onFocus={handleTypingActivity}
                 style={{ 
                   flex: 1, 
                   padding: 12, 
                   border: '1px solid #ddd',
                   borderRadius: 4,
-                  fontSize: 14
+                  fontSize: 14,
+                  fontFamily: 'inherit',
+                  resize: 'none'
                 }}
                 disabled={!connected}
               />
@@ -712,9 +1719,9 @@ const AdvancedChat = () => {
 
             {/* Typing Indicator */}
             <div style={{ marginTop: 8, minHeight: 24 }}>
-              {typingUsers.length > 0 && (
+              {typingNames.length > 0 && (
                 <span style={{ color: '#888', fontStyle: 'italic', fontSize: 14 }}>
-                  {typingUsers.filter(u => u !== username).join(', ')} {typingUsers.length === 1 ? 'is' : 'are'} typing...
+                  {describeTyping(typingNames)}
                 </span>
               )}
             </div>
@@ -735,6 +1742,30 @@ const AdvancedChat = () => {
               Leave Chat
             </button>
           </div>
+
+          {/* Mentions Panel */}
+          {showMentions && (
+            <MentionsPanel
+              mentions={mentions}
+              roomName={(roomId) => rooms.find(room => room.id === roomId)?.name || roomId}
+              renderText={(text) => <Markdown text={text} renderText={renderText} />}
+              onOpen={handleOpenMention}
+              onClose={() => setShowMentions(false)}
+              isMobile={isMobile}
+            />
+          )}
+
+          {/* Thread Panel */}
+          {activeThread && !showPrivateChat && !showMentions && (
+            <ThreadPanel
+              thread={activeThread}
+              renderMessage={renderMessage}
+              onSend={(text) => sendReply(activeThread.parent.id, text)}
+              onLoadMore={handleLoadMoreThread}
+              onClose={closeThread}
+              isMobile={isMobile}
+            />
+          )}
         </div>
       )}
     </div>
@@ -1,8 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useSocket } from './socket/socket';
+import { useSocket, authenticate } from './socket/socket';
 
 const Chat = () => {
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [authMode, setAuthMode] = useState('login');
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [connected, setConnected] = useState(false);
@@ -16,15 +18,22 @@ const Chat = () => {
     messages,
     users,
     typingUsers,
+    currentRoom,
+    connectionError,
+    currentUser,
     connect,
     disconnect,
     sendMessage,
     setTyping,
   } = useSocket();
 
+  const roomTyping = (typingUsers[currentRoom] || [])
+    .filter(user => user.userId !== currentUser?.id)
+    .map(user => user.username);
+
   useEffect(() => {
-    setConnected(isConnected);
-  }, [isConnected]);
+    setConnected(isConnected && Boolean(currentUser));
+  }, [isConnected, currentUser]);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -50,7 +59,7 @@ const Chat = () => {
     // eslint-disable-next-line
   }, [isTyping]);
 
-  const handleConnect = () => {
+  const handleConnect = async () => {
     const trimmedUsername = username.trim();
     setUsernameError('');
     
@@ -64,17 +73,18 @@ const Chat = () => {
       return;
     }
     
-    // Check if username is already taken
-    const isUsernameTaken = users.some(user => 
-      user.username.toLowerCase() === trimmedUsername.toLowerCase()
-    );
-    
-    if (isUsernameTaken) {
-      setUsernameError('Username is already taken');
-      return;
+    try {
+      const user = await authenticate(trimmedUsername, password, authMode);
+      const ack = await connect(user.username);
+      if (ack.success) {
+        setUsername(ack.user.username);
+        setPassword('');
+      } else {
+        setUsernameError(ack.error.message);
+      }
+    } catch (err) {
+      setUsernameError(err.message);
     }
-    
-    connect(trimmedUsername);
   };
 
   const handleSend = (e) => {
@@ -112,17 +122,40 @@ const Chat = () => {
                 borderRadius: 4
               }}
             />
+            <input
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleConnect()}
+              style={{ 
+                padding: 8, 
+                width: '70%', 
+                marginTop: 8,
+                marginRight: 8,
+                border: usernameError ? '1px solid #f44336' : '1px solid #ccc',
+                borderRadius: 4
+              }}
+            />
             <button 
               onClick={handleConnect} 
               style={{ padding: 8 }}
-              disabled={!username.trim()}
+              disabled={!username.trim() || !password}
             >
-              Join Chat
+              {authMode === 'register' ? 'Register' : 'Join Chat'}
             </button>
           </div>
-          {usernameError && (
+          <label style={{ fontSize: 14 }}>
+            <input
+              type="checkbox"
+              checked={authMode === 'register'}
+              onChange={e => setAuthMode(e.target.checked ? 'register' : 'login')}
+            />{' '}
+            Create a new account
+          </label>
+          {(usernameError || connectionError) && (
             <div style={{ color: '#f44336', fontSize: 14, marginTop: 4 }}>
-              {usernameError}
+              {usernameError || connectionError}
             </div>
           )}
         </div>
@@ -231,9 +264,9 @@ const Chat = () => {
             </button>
           </form>
           <div style={{ marginTop: 8, minHeight: 24 }}>
-            {typingUsers.length > 0 && (
+            {roomTyping.length > 0 && (
               <span style={{ color: '#888', fontStyle: 'italic', fontSize: 14 }}>
-                {typingUsers.filter(u => u !== username).join(', ')} {typingUsers.length === 1 ? 'is' : 'are'} typing...
+                {roomTyping.join(', ')} {roomTyping.length === 1 ? 'is' : 'are'} typing...
               </span>
             )}
           </div>
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { fileUrl } from '../socket/socket';
+
+// An attached image, or a link to download the file. File URLs only work
+// for a few minutes, so an image's URL is fetched when it is shown and a
+// download's when the link is clicked.
+const Attachment = ({ file, name, type }) => {
+  const isImage = type.startsWith('image/');
+  const [src, setSrc] = useState(null);
+  const [error, setError] = useState(null);
+  const fileKey = typeof file === 'string' ? file : file.id;
+
+  useEffect(() => {
+    if (!isImage) return undefined;
+    let cancelled = false;
+    fileUrl(file).then(
+      url => { if (!cancelled) setSrc(url); },
+      err => { if (!cancelled) setError(err.message); }
+    );
+    return () => { cancelled = true; };
+  }, [fileKey, isImage]);
+
+  const download = async (event) => {
+    // Inline data URLs download as they are
+    if (typeof file === 'string') return;
+    event.preventDefault();
+    try {
+      window.location.assign(await fileUrl(file, { download: true }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return <div style={{ color: '#d32f2f', fontSize: 12 }}>⚠️ {error}</div>;
+  }
+
+  if (isImage) {
+    return src ? (
+      <img
+        src={src}
+        alt={name}
+        style={{ maxWidth: '100%', maxHeight: 200, borderRadius: 4 }}
+      />
+    ) : (
+      <div style={{ color: '#888', fontSize: 12 }}>Loading image…</div>
+    );
+  }
+
+  return (
+    <a
+      href={typeof file === 'string' ? file : '#'}
+      download={name}
+      onClick={download}
+      style={{ color: '#2196f3', textDecoration: 'none' }}
+    >
+      📄 Download {name}
+    </a>
+  );
+};
+
+export default Attachment;
@@ -0,0 +1,220 @@
+import React from 'react';
+
+// A small, safe Markdown subset for chat messages: **bold**, *italics*,
+// `code`, [links](https://...), fenced code blocks, > quotes and lists.
+// Everything becomes React elements, so message text is never parsed as
+// HTML; links only keep http(s) and mailto addresses.
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const safeHref = (href) => {
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(href).protocol) ? href : null;
+  } catch {
+    return null;
+  }
+};
+
+const linkStyle = { color: '#1976d2', wordBreak: 'break-all' };
+const inlineCodeStyle = {
+  background: '#eceff1',
+  borderRadius: 3,
+  padding: '0 4px',
+  fontFamily: 'monospace',
+  fontSize: '0.9em'
+};
+
+// Emphasis only opens after a space or punctuation and closes before one,
+// so snake_case names and ¯\_(ツ)_/¯ stay as typed
+const INLINE_RULES = [
+  {
+    pattern: /```([^`\n]+?)```|`([^`\n]+)`/g,
+    render: (match, key) => <code key={key} style={inlineCodeStyle}>{match[1] || match[2]}</code>,
+  },
+  {
+    pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/g,
+    render: (match, key, renderInner) => {
+      const href = safeHref(match[2]);
+      // Anything else is shown as typed
+      if (!href) return <React.Fragment key={key}>[{renderInner(match[1])}]({match[2]})</React.Fragment>;
+      return (
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer" style={linkStyle}>
+          {renderInner(match[1])}
+        </a>
+      );
+    },
+  },
+  {
+    // Bare addresses, leaving trailing punctuation outside the link
+    pattern: /\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?]/g,
+    render: (match, key) => (
+      <a key={key} href={match[0]} target="_blank" rel="noopener noreferrer" style={linkStyle}>{match[0]}</a>
+    ),
+  },
+  {
+    pattern: /(?<![\w\\])(\*\*|__)(?=\S)([^\n]*?\S)\1(?!\w)/g,
+    render: (match, key, renderInner) => <strong key={key}>{renderInner(match[2])}</strong>,
+  },
+  {
+    pattern: /(?<![\w\\*])([*_])(?=[^\s*_])([^\n]*?[^\s\\])\1(?![\w*])/g,
+    render: (match, key, renderInner) => <em key={key}>{renderInner(match[2])}</em>,
+  },
+];
+
+// Inline formatting for one line. Plain runs of text go through renderText,
+// which is where mentions are highlighted.
+//
+// Each rule's next match is found once and reused until the text before it
+// has been consumed, rather than searching again after every token; the
+// emphasis patterns are slow enough on long lines for that to matter.
+const renderInline = (text, renderText) => {
+  const renderInner = (inner) => renderInline(inner, renderText);
+  const nodes = [];
+  const nextMatches = INLINE_RULES.map(() => undefined);
+  let position = 0;
+
+  const nextMatch = (index) => {
+    const cached = nextMatches[index];
+    if (cached === null || (cached && cached.index >= position)) return cached;
+    const { pattern } = INLINE_RULES[index];
+    pattern.lastIndex = position;
+    nextMatches[index] = pattern.exec(text);
+    return nextMatches[index];
+  };
+
+  while (position < text.length) {
+    // The earliest match wins; on a tie, the rule listed first
+    let earliest = null;
+    INLINE_RULES.forEach((rule, index) => {
+      const match = nextMatch(index);
+      if (match && (!earliest || match.index < earliest.match.index)) {
+        earliest = { rule, match };
+      }
+    });
+    if (!earliest) {
+      nodes.push(<React.Fragment key={nodes.length}>{renderText(text.slice(position))}</React.Fragment>);
+      break;
+    }
+
+    const { rule, match } = earliest;
+    if (match.index > position) {
+      nodes.push(<React.Fragment key={nodes.length}>{renderText(text.slice(position, match.index))}</React.Fragment>);
+    }
+    nodes.push(rule.render(match, nodes.length, renderInner));
+    position = match.index + match[0].length;
+  }
+  return nodes;
+};
+
+const FENCE = /^\s*```\s*([\w+#.-]*)\s*$/;
+const QUOTE = /^\s*> ?/;
+const BULLET = /^\s*[-*+]\s+/;
+const NUMBERED = /^\s*(\d+)[.)]\s+/;
+
+// Splits a message into code blocks, quotes, lists and paragraphs
+const parseBlocks = (text) => {
+  const lines = text.split('\n');
+  const blocks = [];
+  let i = 0;
+
+  // Consecutive lines matching the pattern, with the marker removed
+  const takeWhile = (pattern) => {
+    const taken = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      taken.push(lines[i].replace(pattern, ''));
+      i++;
+    }
+    return taken;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(FENCE);
+    if (fence) {
+      i++;
+      const code = [];
+      // An unclosed fence runs to the end of the message
+      while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[1], text: code.join('\n') });
+    } else if (QUOTE.test(line)) {
+      blocks.push({ type: 'quote', blocks: parseBlocks(takeWhile(QUOTE).join('\n')) });
+    } else if (BULLET.test(line)) {
+      blocks.push({ type: 'bullets', items: takeWhile(BULLET) });
+    } else if (NUMBERED.test(line)) {
+      const start = Number(line.match(NUMBERED)[1]);
+      blocks.push({ type: 'numbered', start, items: takeWhile(NUMBERED) });
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() &&
+        ![FENCE, QUOTE, BULLET, NUMBERED].some(pattern => pattern.test(lines[i]))) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+  return blocks;
+};
+
+const renderBlocks = (blocks, renderText) => blocks.map((block, index) => {
+  const spacing = { margin: index > 0 ? '4px 0 0' : 0 };
+  switch (block.type) {
+    case 'code':
+      return (
+        <div key={index} style={{ ...spacing, background: '#263238', borderRadius: 4, overflow: 'hidden' }}>
+          {block.language && (
+            <div style={{ background: '#37474f', color: '#b0bec5', fontSize: 11, padding: '2px 8px' }}>
+              {block.language}
+            </div>
+          )}
+          <pre style={{ margin: 0, padding: 8, color: '#eceff1', fontSize: 13, overflowX: 'auto' }}>
+            <code>{block.text}</code>
+          </pre>
+        </div>
+      );
+    case 'quote':
+      return (
+        <blockquote key={index} style={{ ...spacing, borderLeft: '3px solid #ccc', paddingLeft: 8, color: '#555' }}>
+          {renderBlocks(block.blocks, renderText)}
+        </blockquote>
+      );
+    case 'bullets':
+    case 'numbered': {
+      const List = block.type === 'bullets' ? 'ul' : 'ol';
+      return (
+        <List key={index} start={block.start} style={{ ...spacing, paddingLeft: 20 }}>
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, renderText)}</li>)}
+        </List>
+      );
+    }
+    default:
+      return (
+        <div key={index} style={spacing}>
+          {block.lines.map((line, lineIndex) => (
+            <React.Fragment key={lineIndex}>
+              {lineIndex > 0 && <br />}
+              {renderInline(line, renderText)}
+            </React.Fragment>
+          ))}
+        </div>
+      );
+  }
+});
+
+const plainText = (text) => text;
+
+// Both are memoized: the chat re-renders on every keystroke, and messages
+// only need formatting again when their text or renderText changes.
+
+// Formatting that stays on one line, for places like "/me" actions
+export const InlineMarkdown = React.memo(({ text, renderText = plainText }) => <>{renderInline(text, renderText)}</>);
+
+const Markdown = React.memo(({ text, renderText = plainText }) => <>{renderBlocks(parseBlocks(text), renderText)}</>);
+
+export default Markdown;
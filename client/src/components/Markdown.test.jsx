@@ -0,0 +1,36 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { describe, expect, it } from 'vitest';
+import Markdown, { InlineMarkdown } from './Markdown';
+
+const render = (element) => renderToStaticMarkup(element);
+
+describe('Markdown', () => {
+  it('renders the supported formatting', () => {
+    expect(render(<Markdown text={'**bold** *em* `code` [site](https://example.com)'} />)).toBe(
+      '<div style="margin:0"><strong>bold</strong> <em>em</em> ' +
+      '<code style="background:#eceff1;border-radius:3px;padding:0 4px;font-family:monospace;font-size:0.9em">code</code> ' +
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer" style="color:#1976d2;word-break:break-all">site</a></div>'
+    );
+  });
+
+  it('keeps snake_case and unsafe links as typed', () => {
+    expect(render(<InlineMarkdown text="snake_case_name [x](javascript:alert(1))" />)).toBe(
+      'snake_case_name [x](javascript:alert(1))'
+    );
+  });
+
+  it('formats text after other tokens', () => {
+    expect(render(<InlineMarkdown text="`a` and **b** then _c_" />)).toContain('<strong>b</strong> then <em>c</em>');
+  });
+
+  // Unclosed emphasis markers between tokens used to make each render
+  // take seconds
+  it('renders adversarial input quickly', () => {
+    for (const text of ['_x `a`'.repeat(700), '**x `a`'.repeat(500), '*_'.repeat(2000), '[a](b '.repeat(600)]) {
+      const started = performance.now();
+      render(<Markdown text={text} />);
+      expect(performance.now() - started).toBeLessThan(250);
+    }
+  });
+});
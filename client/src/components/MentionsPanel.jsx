@@ -0,0 +1,68 @@
+import React from 'react';
+
+// Side panel listing recent messages that mention the user, across all rooms
+const MentionsPanel = ({ mentions, roomName, renderText, onOpen, onClose, isMobile }) => (
+  <div style={{
+    width: isMobile ? '100%' : 320,
+    order: 3,
+    background: '#fff',
+    border: '1px solid #eee',
+    borderRadius: 4,
+    padding: 12,
+    display: 'flex',
+    flexDirection: 'column'
+  }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+      <strong style={{ color: '#333' }}>Mentions</strong>
+      <button
+        onClick={onClose}
+        style={{
+          background: 'none',
+          border: '1px solid #ddd',
+          borderRadius: 4,
+          padding: '2px 8px',
+          fontSize: 12,
+          cursor: 'pointer'
+        }}
+      >
+        ✕ Close
+      </button>
+    </div>
+
+    <div style={{ flex: 1, overflowY: 'auto', maxHeight: isMobile ? 240 : 480 }}>
+      {mentions.length === 0 ? (
+        <div style={{ color: '#888', fontSize: 13, textAlign: 'center', marginTop: 16 }}>
+          Nobody has mentioned you yet
+        </div>
+      ) : mentions.map(msg => (
+        <div
+          key={msg.id}
+          onClick={() => onOpen(msg)}
+          title={`Go to #${roomName(msg.room)}`}
+          style={{
+            marginBottom: 8,
+            padding: '8px 12px',
+            borderRadius: 8,
+            background: '#fff8e1',
+            border: '1px solid #ffe0b2',
+            cursor: 'pointer'
+          }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: '#888', marginBottom: 4 }}>
+            <span>
+              <strong style={{ color: '#333' }}>{msg.sender}</strong> in #{roomName(msg.room)}
+              {msg.parentId && ' (thread)'}
+            </span>
+            <span>{new Date(msg.timestamp).toLocaleString()}</span>
+          </div>
+          <div style={{ color: '#333', fontSize: 14, wordBreak: 'break-word' }}>
+            {msg.isFile && `📎 ${msg.fileName} `}
+            {renderText(msg.message)}
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default MentionsPanel;
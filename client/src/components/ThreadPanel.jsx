@@ -0,0 +1,123 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+// Side panel showing a message and its replies, with a composer for the thread
+const ThreadPanel = ({ thread, renderMessage, onSend, onLoadMore, onClose, isMobile }) => {
+  const [input, setInput] = useState('');
+  const [loadingMore, setLoadingMore] = useState(false);
+  const repliesEndRef = useRef(null);
+
+  // Keep the newest reply in view, but stay put when older ones load
+  const newestId = thread.messages[thread.messages.length - 1]?.id;
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [newestId]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    await onLoadMore();
+    setLoadingMore(false);
+  };
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (input.trim()) {
+      onSend(input.trim());
+      setInput('');
+    }
+  };
+
+  const replyCount = thread.parent.replyCount || 0;
+
+  return (
+    <div style={{
+      width: isMobile ? '100%' : 320,
+      order: 3,
+      background: '#fff',
+      border: '1px solid #eee',
+      borderRadius: 4,
+      padding: 12,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <strong style={{ color: '#333' }}>Thread</strong>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'none',
+            border: '1px solid #ddd',
+            borderRadius: 4,
+            padding: '2px 8px',
+            fontSize: 12,
+            cursor: 'pointer'
+          }}
+        >
+          ✕ Close
+        </button>
+      </div>
+
+      {renderMessage(thread.parent, { inThread: true })}
+
+      <div style={{ fontSize: 12, color: '#666', margin: '4px 0 8px' }}>
+        {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', maxHeight: isMobile ? 240 : 320, marginBottom: 12 }}>
+        {thread.hasMore && (
+          <div style={{ textAlign: 'center', marginBottom: 8 }}>
+            <button
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              style={{
+                background: 'none',
+                border: '1px solid #ddd',
+                borderRadius: 4,
+                padding: '2px 8px',
+                fontSize: 12,
+                color: '#1976d2',
+                cursor: loadingMore ? 'default' : 'pointer'
+              }}
+            >
+              {loadingMore ? 'Loading…' : 'Load earlier replies'}
+            </button>
+          </div>
+        )}
+        {thread.messages.map(msg => renderMessage(msg, { inThread: true }))}
+        <div ref={repliesEndRef} />
+      </div>
+
+      <form onSubmit={handleSend} style={{ display: 'flex', gap: 8 }}>
+        <input
+          type="text"
+          placeholder="Reply in thread..."
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          style={{
+            flex: 1,
+            padding: 8,
+            border: '1px solid #ddd',
+            borderRadius: 4,
+            fontSize: 14
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!input.trim()}
+          style={{
+            padding: '8px 12px',
+            backgroundColor: '#2196f3',
+            color: 'white',
+            border: 'none',
+            borderRadius: 4,
+            cursor: input.trim() ? 'pointer' : 'not-allowed',
+            opacity: input.trim() ? 1 : 0.6
+          }}
+        >
+          Reply
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ThreadPanel;
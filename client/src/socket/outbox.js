@@ -0,0 +1,35 @@
+// outbox.js - Durable queue of sends waiting for a server acknowledgement
+//
+// Entries live in localStorage so queued messages survive a page reload.
+// Each entry keeps the event and payload to emit plus the temporary message
+// shown in the UI while it is pending. Every account has its own outbox, so
+// messages queued by one user are never sent after another one signs in.
+
+const outboxKey = (userId) => `chat_outbox:${userId}`;
+
+// Pending sends older than this are marked as failed
+export const OUTBOX_TIMEOUT = 2 * 60 * 1000;
+
+// How long to wait for a single ack before treating the send as unanswered
+export const ACK_TIMEOUT = 10 * 1000;
+
+export const loadOutbox = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(outboxKey(userId))) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveOutbox = (userId, entries) => {
+  if (entries.length > 0) {
+    localStorage.setItem(outboxKey(userId), JSON.stringify(entries));
+  } else {
+    localStorage.removeItem(outboxKey(userId));
+  }
+};
+
+export const clearOutbox = (userId) => localStorage.removeItem(outboxKey(userId));
+
+// Temporary UI message for an entry, reflecting its current status
+export const toPendingMessage = (entry) => ({ ...entry.message, status: entry.status, error: entry.error });
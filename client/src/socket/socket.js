@@ -1,7 +1,15 @@
 // socket.js - Socket.io client setup
 
 import { io } from 'socket.io-client';
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import {
+  loadOutbox,
+  saveOutbox,
+  clearOutbox,
+  toPendingMessage,
+  OUTBOX_TIMEOUT,
+  ACK_TIMEOUT,
+} from './outbox';
 
 // Socket.io connection URL
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
@@ -14,36 +22,480 @@ export const socket = io(SOCKET_URL, {
   reconnectionDelay: 1000,
 });
 
+// Typing and idle updates only describe the present, so while disconnected
+// they are dropped rather than buffered. Otherwise the backlog would go out
+// in one burst on reconnect and trip the server's flood limits.
+export const emitVolatile = (event, payload) => {
+  socket.volatile.emit(event, payload);
+};
+
+// Unique id for messages created on this client. The server uses it to
+// recognise retried sends, so it must not repeat within a session.
+export const createClientId = () =>
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Room every user starts in
+export const DEFAULT_ROOM = 'general';
+
+// Messages per history request
+const PAGE_SIZE = 20;
+const SYNC_PAGE_SIZE = 100;
+
+// Read positions are collected and sent together at most this often
+const READ_BATCH_DELAY = 1000;
+
+// A tab without keyboard or pointer input for this long counts as idle; the
+// user shows as away once all their tabs are
+const IDLE_AFTER = 5 * 60 * 1000;
+
+// "You were muted in #club by sam until 10/19/2026, 9:00:00 AM: spamming"
+const moderationNotice = (text, { by, reason, expiresAt } = {}) =>
+  `${text}${by ? ` by ${by.username}` : ''}` +
+  `${expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : ''}` +
+  `${reason ? `: ${reason}` : ''}`;
+
+// Messages starting with a single slash are commands for the server; "//"
+// sends a literal slash
+export const isCommand = (text) => text.startsWith('/') && !text.startsWith('//');
+
+// Rejections that go away by themselves; the outbox tries these sends again
+const RETRY_LATER_CODES = ['RATE_LIMITED', 'FLOOD_MUTED'];
+
+// The shortest time a "slow down" notice stays up
+const SLOW_DOWN_MIN_DURATION = 3000;
+
+// Messages the server has stored, as opposed to local system notices and
+// sends still waiting in the outbox
+const isStored = (msg) => !msg.system && (!msg.status || msg.status === 'delivered');
+
+const newestStoredId = (list) => [...list].reverse().find(isStored)?.id || null;
+
+// Merge history into the message list, skipping anything already shown
+const prependOlder = (list, older) => {
+  const known = new Set(list.map(msg => msg.id));
+  return [...older.filter(msg => !known.has(msg.id)), ...list];
+};
+
+// Newer messages go before any sends still waiting in the outbox
+const appendNewer = (list, newer) => {
+  const known = new Set(list.map(msg => msg.id));
+  const waiting = list.filter(msg => msg.status === 'pending' || msg.status === 'failed');
+  return [
+    ...list.filter(msg => !waiting.includes(msg)),
+    ...newer.filter(msg => !known.has(msg.id)),
+    ...waiting,
+  ];
+};
+
+// Session token storage
+const TOKEN_KEY = 'chat_token';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Log in or register, storing the signed session token on success
+export const authenticate = async (username, password, mode = 'login') => {
+  const response = await fetch(`${SOCKET_URL}/api/auth/${mode}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Authentication failed');
+  }
+
+  localStorage.setItem(TOKEN_KEY, data.token);
+  return data.user;
+};
+
+// Upload a file over HTTP. Resolves with the stored file's public details.
+export const uploadFile = async (file) => {
+  const body = new FormData();
+  body.append('file', file);
+  const response = await fetch(`${SOCKET_URL}/api/files`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${getToken()}` },
+    body,
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Upload failed');
+  }
+  return data;
+};
+
+// File tokens by file id, reused until shortly before they expire
+const fileTokens = new Map();
+const FILE_TOKEN_MARGIN = 30 * 1000;
+
+// Resolves with the URL for a message attachment. Older messages carry the
+// file inline as a data URL. <img> cannot send headers, so the URL carries a
+// short-lived token for this file only, never the session token.
+export const fileUrl = async (file, { download = false } = {}) => {
+  if (typeof file === 'string') return file;
+
+  let fileToken = fileTokens.get(file.id);
+  if (!fileToken || Date.parse(fileToken.expiresAt) - Date.now() < FILE_TOKEN_MARGIN) {
+    const response = await fetch(`${SOCKET_URL}/api/files/${encodeURIComponent(file.id)}/token`, {
+      headers: { Authorization: `Bearer ${getToken()}` },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'File not available');
+    }
+    fileToken = data;
+    fileTokens.set(file.id, fileToken);
+  }
+
+  const query = `token=${encodeURIComponent(fileToken.token)}${download ? '&download=1' : ''}`;
+  return `${SOCKET_URL}/api/files/${encodeURIComponent(file.id)}?${query}`;
+};
+
 // Custom hook for using socket.io
 export const useSocket = () => {
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [lastMessage, setLastMessage] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
-  const [rooms, setRooms] = useState(['general', 'random', 'help']);
-  const [currentRoom, setCurrentRoom] = useState('general');
+  // Presence of everyone who has used the chat, by user id
+  const [presence, setPresence] = useState({});
+  // Recent messages mentioning us across all rooms, newest first
+  const [mentions, setMentions] = useState([]);
+  // The latest mention to arrive live, for notifications
+  const [lastMention, setLastMention] = useState(null);
+  // Who is typing, by room id and by the other user's id for conversations
+  const [typingUsers, setTypingUsers] = useState({});
+  const [privateTypingUsers, setPrivateTypingUsers] = useState({});
+  const [rooms, setRooms] = useState([]);
+  const [roomInvites, setRoomInvites] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [currentRoom, setCurrentRoom] = useState(DEFAULT_ROOM);
   const [privateMessages, setPrivateMessages] = useState({});
   const [selectedUser, setSelectedUser] = useState(null);
+  // Direct message conversations with their latest message and unread count
+  const [conversations, setConversations] = useState([]);
+  // other user id -> whether older direct messages can be loaded
+  const [conversationHasMore, setConversationHasMore] = useState({});
+  // channel (room or conversation id) -> { unread, mentions }, kept by the server
+  const [unreadCounts, setUnreadCounts] = useState({});
+  // channel -> user id -> { username, messageId } of the newest message they read
+  const [readReceipts, setReadReceipts] = useState({});
   const [loadingMore, setLoadingMore] = useState(false);
   const [hasMoreMessages, setHasMoreMessages] = useState(true);
+  const [connectionError, setConnectionError] = useState(null);
+  // The latest error the server reported for an event we sent without
+  // waiting for an answer, or for a queued send that was refused
+  const [socketError, setSocketError] = useState(null);
+  // Set while the server is rejecting our events for coming too fast
+  const [slowDown, setSlowDown] = useState(null);
+  const slowDownTimerRef = useRef(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  // Listeners registered once need the latest state without re-subscribing
+  const currentUserRef = useRef(null);
+  const currentRoomRef = useRef(currentRoom);
+  const messagesRef = useRef(messages);
+  currentRoomRef.current = currentRoom;
+  messagesRef.current = messages;
 
-  // Connect to socket server
-  const connect = (username) => {
-    socket.connect();
-    if (username) {
-      socket.emit('user_join', username);
+  const requestMessages = (query) => new Promise((resolve) => {
+    socket.emit('load_messages', query, resolve);
+  });
+
+  const requestConversation = (query) => new Promise((resolve) => {
+    socket.emit('load_conversation', query, resolve);
+  });
+
+  // Conversation summaries come from the REST API
+  const refreshConversations = async () => {
+    try {
+      const response = await fetch(`${SOCKET_URL}/api/conversations`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (response.ok) {
+        setConversations(await response.json());
+      }
+    } catch (err) {
+      // Keep the current list; it is refreshed again on the next message
     }
   };
 
-  // Disconnect from socket server
+  // Load a room's latest page, or when resuming, everything after the newest
+  // message we already have
+  const syncMessages = async (room, since) => {
+    if (!since) {
+      const ack = await requestMessages({ room, limit: PAGE_SIZE });
+      if (ack.success) {
+        setMessages([...ack.messages, ...queuedFor(room)]);
+        setHasMoreMessages(ack.hasMore);
+      }
+      return;
+    }
+
+    let cursor = since;
+    let ack;
+    do {
+      ack = await requestMessages({ room, since: cursor, limit: SYNC_PAGE_SIZE });
+      if (!ack.success) return;
+      const newer = ack.messages;
+      setMessages(prev => appendNewer(prev, newer));
+      cursor = newer.length > 0 ? newer[newer.length - 1].id : null;
+    } while (ack.hasMore && cursor);
+  };
+
+  // Join the user's session. The server puts this socket back in the room
+  // the user was last in; after a reconnect to the same room only the gap
+  // is fetched.
+  const joinSession = (username) => new Promise((resolve) => {
+    socket.emit('user_join', username, (ack) => {
+      if (ack.success) {
+        const since = ack.currentRoom === currentRoomRef.current ? newestStoredId(messagesRef.current) : null;
+        currentUserRef.current = ack.user;
+        setCurrentUser(ack.user);
+        openOutbox(ack.user.id);
+        setCurrentRoom(ack.currentRoom);
+        setChannelReaders(ack.currentRoom, ack.readers);
+        // A new socket starts out active on the server
+        if (idleRef.current) emitVolatile('set_idle', { idle: true });
+        syncMessages(ack.currentRoom, since);
+        refreshConversations();
+        loadMentions();
+        joinedRef.current = true;
+        flushOutbox();
+      }
+      resolve(ack);
+    });
+  });
+
+  // Connect using the stored session token and claim a chat name.
+  // Resolves with the server's join acknowledgement.
+  const connect = (username) => new Promise((resolve) => {
+    const onJoinConnect = async () => {
+      socket.off('connect_error', onJoinError);
+      const ack = await joinSession(username);
+      if (!ack.success) {
+        socket.disconnect();
+      }
+      resolve(ack);
+    };
+
+    const onJoinError = (err) => {
+      socket.off('connect', onJoinConnect);
+      socket.disconnect();
+      resolve({ success: false, error: { code: 'CONNECTION_FAILED', message: err.message } });
+    };
+
+    setConnectionError(null);
+    socket.auth = { token: getToken() };
+    socket.once('connect', onJoinConnect);
+    socket.once('connect_error', onJoinError);
+    socket.connect();
+  });
+
+  // Try again after the automatic reconnection attempts have run out
+  const reconnect = () => {
+    socket.connect();
+  };
+
+  // Disconnect from socket server and end the session
   const disconnect = () => {
     socket.disconnect();
+    clearToken();
+    currentUserRef.current = null;
+    setCurrentUser(null);
+    setMessages([]);
+    setPrivateMessages({});
+    setConversations([]);
+    setSelectedUser(null);
+    setUnreadCounts({});
+    setReadReceipts({});
+    setTypingUsers({});
+    setPrivateTypingUsers({});
+    setMentions([]);
+    setLastMention(null);
+    fileTokens.clear();
+    // Unsent messages belong to this session only
+    if (outboxUserRef.current) clearOutbox(outboxUserRef.current);
+    outboxUserRef.current = null;
+    outboxRef.current = [];
+  };
+
+  // Queued sends, mirrored to localStorage so they survive a reload. The
+  // outbox is only opened once the server has confirmed who we are.
+  const outboxRef = useRef([]);
+  const outboxUserRef = useRef(null);
+  // Whether this socket has joined the session, so queued sends may go out
+  const joinedRef = useRef(false);
+  const flushingRef = useRef(false);
+
+  const updateOutbox = (update) => {
+    outboxRef.current = update(outboxRef.current);
+    if (outboxUserRef.current) saveOutbox(outboxUserRef.current, outboxRef.current);
+  };
+
+  // Load the account's queued sends. Private messages still queued from a
+  // previous visit show up as pending; room messages are added as each
+  // room's history loads.
+  const openOutbox = (userId) => {
+    if (outboxUserRef.current === userId) return;
+    outboxUserRef.current = userId;
+    outboxRef.current = loadOutbox(userId);
+    setPrivateMessages(
+      outboxRef.current
+        .filter(entry => entry.event === 'private_message')
+        .reduce((byUser, entry) => ({
+          ...byUser,
+          [entry.payload.to]: [...(byUser[entry.payload.to] || []), toPendingMessage(entry)],
+        }), {})
+    );
+  };
+
+  // Queued room messages to show alongside a room's history
+  const queuedFor = (room) =>
+    outboxRef.current
+      .filter(entry => entry.event === 'send_message' && !entry.payload.parentId && entry.payload.room === room)
+      .map(toPendingMessage);
+
+  // Apply a change to the UI copy of a queued message, wherever it is shown
+  const updateQueuedMessage = (entry, update) => {
+    const apply = (list = []) => update(list);
+    if (entry.event === 'private_message') {
+      const { to } = entry.payload;
+      setPrivateMessages(prev => ({ ...prev, [to]: apply(prev[to]) }));
+    } else if (entry.payload.parentId) {
+      updateThreadMessages(apply);
+    } else {
+      setMessages(apply);
+    }
+  };
+
+  const setQueuedStatus = (entry, changes) => {
+    updateQueuedMessage(entry, list => 
+      list.map(msg => 
+        msg.id === entry.id 
+          ? { ...msg, ...changes }
+          : msg
+      )
+    );
+  };
+
+  const markFailed = (entry, error) => {
+    updateOutbox(entries => entries.map(e => (e.id === entry.id ? { ...e, status: 'failed', error } : e)));
+    setQueuedStatus(entry, { status: 'failed', error });
+    setSocketError({ event: entry.event, ...error });
+  };
+
+  // Emit one queued send. Resolves false when the server did not answer in
+  // time, which leaves the entry queued for the next flush.
+  const deliver = (entry) => new Promise((resolve) => {
+    socket.timeout(ACK_TIMEOUT).emit(entry.event, entry.payload, (err, ack) => {
+      if (err) {
+        resolve(false);
+        return;
+      }
+      if (ack.success) {
+        updateOutbox(entries => entries.filter(e => e.id !== entry.id));
+        // Show the text as stored, in case the server's filters rewrote it
+        setQueuedStatus(entry, { status: 'delivered', id: ack.messageId, message: ack.text });
+        if (entry.event === 'private_message') refreshConversations();
+      } else if (RETRY_LATER_CODES.includes(ack.error.code)) {
+        // Stays pending and goes out again on a later flush
+        resolve(false);
+        return;
+      } else {
+        markFailed(entry, ack.error);
+      }
+      resolve(true);
+    });
+  });
+
+  // Send queued messages one at a time, oldest first. The server recognises
+  // resent client ids, so a message is never stored twice.
+  const flushOutbox = async () => {
+    if (flushingRef.current || !socket.connected || !joinedRef.current) return;
+    flushingRef.current = true;
+    try {
+      const attempted = new Set();
+      let next;
+      while (socket.connected && joinedRef.current &&
+        (next = outboxRef.current.find(entry => entry.status === 'pending' && !attempted.has(entry.id)))) {
+        attempted.add(next.id);
+        // Stop at the first unanswered send so later messages stay in order
+        if (!(await deliver(next))) break;
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  };
+
+  const enqueue = (event, payload, message) => {
+    updateOutbox(entries => [
+      ...entries,
+      { id: payload.messageId, event, payload, message, status: 'pending', createdAt: Date.now() },
+    ]);
+    flushOutbox();
   };
 
+  // Send a failed message again with the same client id
+  const retryMessage = (messageId) => {
+    const entry = outboxRef.current.find(e => e.id === messageId);
+    if (!entry) return;
+    
+    updateOutbox(entries => 
+      entries.map(e => (e.id === messageId ? { ...e, status: 'pending', error: null, createdAt: Date.now() } : e))
+    );
+    setQueuedStatus(entry, { status: 'pending' });
+    flushOutbox();
+  };
+
+  // Drop a failed message from the outbox and the UI
+  const discardMessage = (messageId) => {
+    const entry = outboxRef.current.find(e => e.id === messageId);
+    if (!entry) return;
+    
+    updateOutbox(entries => entries.filter(e => e.id !== messageId));
+    updateQueuedMessage(entry, list => list.filter(msg => msg.id !== messageId));
+  };
+
+  // Slash commands skip the outbox: they take effect now or fail, and a
+  // message they post arrives from the server like anyone else's
+  const runCommand = (text, room = currentRoom) => new Promise((resolve) => {
+    socket.emit('send_message', { message: text, room }, (ack) => {
+      if (!ack.success) {
+        setSocketError({ event: 'send_message', ...ack.error });
+      } else if (ack.command === 'join') {
+        applyJoin(ack.room.id, ack);
+      } else if (ack.command === 'nick') {
+        currentUserRef.current = { ...currentUserRef.current, ...ack.user };
+        setCurrentUser(currentUserRef.current);
+      }
+      resolve(ack);
+    });
+  });
+
+  const loadMentions = () => new Promise((resolve) => {
+    socket.emit('load_mentions', {}, (ack) => {
+      if (ack.success) setMentions(ack.mentions);
+      resolve(ack);
+    });
+  });
+
+  // Commands the user may run in a room, for autocomplete
+  const listCommands = (room = currentRoom) => new Promise((resolve) => {
+    socket.emit('list_commands', { room }, resolve);
+  });
+
   // Send a message
   const sendMessage = (message, room = currentRoom) => {
-    const messageId = Date.now();
+    if (isCommand(message)) {
+      return runCommand(message, room);
+    }
+    
+    const messageId = createClientId();
     const tempMessage = {
       id: messageId,
       message,
@@ -57,31 +509,13 @@ export const useSocket = () => {
     // Add temporary message to UI
     setMessages(prev => [...prev, tempMessage]);
     
-    // Send to server with acknowledgment
-    socket.emit('send_message', { message, room, messageId }, (ack) => {
-      if (ack.success) {
-        setMessages(prev => 
-          prev.map(msg => 
-            msg.id === messageId 
-              ? { ...msg, status: 'delivered', id: ack.messageId }
-              : msg
-          )
-        );
-      } else {
-        setMessages(prev => 
-          prev.map(msg => 
-            msg.id === messageId 
-              ? { ...msg, status: 'failed' }
-              : msg
-          )
-        );
-      }
-    });
+    // Queue for delivery; sent right away when connected
+    enqueue('send_message', { message, room, messageId }, tempMessage);
   };
 
   // Send a private message
   const sendPrivateMessage = (to, message) => {
-    const messageId = Date.now();
+    const messageId = createClientId();
     const tempMessage = {
       id: messageId,
       message,
@@ -99,109 +533,480 @@ export const useSocket = () => {
       [to]: [...(prev[to] || []), tempMessage]
     }));
     
-    // Send to server with acknowledgment
-    socket.emit('private_message', { to, message, messageId }, (ack) => {
+    enqueue('private_message', { to, message, messageId }, tempMessage);
+  };
+
+  // Upload a file and send it to one user. The upload happens right away;
+  // the message itself goes through the outbox like any other DM.
+  const sendPrivateFile = async (to, file) => {
+    let uploaded;
+    try {
+      uploaded = await uploadFile(file);
+    } catch (err) {
+      return { success: false, error: { code: 'UPLOAD_FAILED', message: err.message } };
+    }
+    
+    const messageId = createClientId();
+    const tempMessage = {
+      id: messageId,
+      message: '',
+      sender: 'You',
+      senderId: socket.id,
+      timestamp: new Date().toISOString(),
+      to,
+      isPrivate: true,
+      isFile: true,
+      file: uploaded,
+      fileName: uploaded.name,
+      fileType: uploaded.type,
+      status: 'pending'
+    };
+    
+    setPrivateMessages(prev => ({
+      ...prev,
+      [to]: [...(prev[to] || []), tempMessage]
+    }));
+    
+    enqueue('private_message', { to, fileId: uploaded.id, messageId }, tempMessage);
+    return { success: true };
+  };
+  // Open a direct message conversation with its latest page of history.
+  // Sends still waiting in the outbox stay at the end.
+  const openConversation = async (user) => {
+    setSelectedUser(user);
+    const ack = await requestConversation({ userId: user.id, limit: PAGE_SIZE });
+    if (ack.success) {
+      setPrivateMessages(prev => ({
+        ...prev,
+        [user.id]: [...ack.messages, ...(prev[user.id] || []).filter(msg => !isStored(msg))],
+      }));
+      setConversationHasMore(prev => ({ ...prev, [user.id]: ack.hasMore }));
+      if (ack.conversationId) setChannelReaders(ack.conversationId, ack.readers);
+    }
+    return ack;
+  };
+
+  // Load the page of direct messages before the oldest one shown
+  const loadMoreConversation = async (otherUserId) => {
+    if (loadingMore || !conversationHasMore[otherUserId]) return;
+    
+    setLoadingMore(true);
+    const before = (privateMessages[otherUserId] || []).find(isStored)?.id;
+    const ack = await requestConversation({ userId: otherUserId, limit: PAGE_SIZE, before });
+    if (ack.success) {
+      setPrivateMessages(prev => ({ ...prev, [otherUserId]: prependOlder(prev[otherUserId] || [], ack.messages) }));
+      setConversationHasMore(prev => ({ ...prev, [otherUserId]: ack.hasMore }));
+    }
+    setLoadingMore(false);
+  };
+
+  // Replace what we know about who has read a channel
+  const setChannelReaders = (channel, readers = []) => {
+    setReadReceipts(prev => ({
+      ...prev,
+      [channel]: Object.fromEntries(readers.map(({ userId, username, messageId }) => [userId, { username, messageId }])),
+    }));
+  };
+
+  const idleRef = useRef(false);
+
+  // Read positions waiting to be sent, and the last one sent per channel
+  const pendingReadsRef = useRef({});
+  const sentReadsRef = useRef({});
+  const readTimerRef = useRef(null);
+
+  const flushReads = () => {
+    readTimerRef.current = null;
+    const cursors = pendingReadsRef.current;
+    pendingReadsRef.current = {};
+    if (Object.keys(cursors).length > 0) {
+      socket.emit('mark_read', { cursors });
+    }
+  };
+
+  // Record that a room or conversation has been read up to a message.
+  // Positions are batched; the server answers with fresh unread counts.
+  const markRead = (channel, messageId) => {
+    const sent = sentReadsRef.current[channel];
+    if (sent && String(sent) >= String(messageId)) return;
+    sentReadsRef.current[channel] = messageId;
+    pendingReadsRef.current[channel] = messageId;
+    if (!readTimerRef.current) {
+      readTimerRef.current = setTimeout(flushReads, READ_BATCH_DELAY);
+    }
+  };
+
+  // Apply a change to the open thread's messages, if any
+  const updateThreadMessages = (update) => {
+    setActiveThread(prev => prev && { ...prev, messages: update(prev.messages) });
+  };
+
+  // Open a thread side panel with the replies to a message
+  const openThread = (parentId) => new Promise((resolve) => {
+    socket.emit('load_thread', { parentId }, (ack) => {
       if (ack.success) {
-        setPrivateMessages(prev => ({
-          ...prev,
-          [to]: prev[to].map(msg => 
-            msg.id === messageId 
-              ? { ...msg, status: 'delivered', id: ack.messageId }
-              : msg
-          )
-        }));
-      } else {
-        setPrivateMessages(prev => ({
-          ...prev,
-          [to]: prev[to].map(msg => 
-            msg.id === messageId 
-              ? { ...msg, status: 'failed' }
-              : msg
-          )
-        }));
+        setActiveThread({ parent: ack.parent, messages: ack.messages, hasMore: ack.hasMore });
+      }
+      resolve(ack);
+    });
+  });
+
+  // Load the page of replies before the oldest one shown in the open thread
+  const loadMoreThread = () => new Promise((resolve) => {
+    const parentId = activeThread.parent.id;
+    const before = activeThread.messages.find(isStored)?.id;
+    socket.emit('load_thread', { parentId, before, limit: PAGE_SIZE }, (ack) => {
+      if (ack.success) {
+        setActiveThread(prev => (prev && prev.parent.id === parentId
+          ? { ...prev, messages: prependOlder(prev.messages, ack.messages), hasMore: ack.hasMore }
+          : prev));
       }
+      resolve(ack);
     });
+  });
+
+  const closeThread = () => {
+    setActiveThread(null);
   };
 
-  // Join a room
-  const joinRoom = (roomName) => {
-    socket.emit('join_room', roomName);
+  // Send a reply into a thread
+  const sendReply = (parentId, message, room = currentRoom) => {
+    const messageId = createClientId();
+    const tempMessage = {
+      id: messageId,
+      message,
+      sender: 'You',
+      senderId: socket.id,
+      timestamp: new Date().toISOString(),
+      room,
+      parentId,
+      status: 'pending'
+    };
+    
+    updateThreadMessages(prev => [...prev, tempMessage]);
+    
+    enqueue('send_message', { message, room, messageId, parentId }, tempMessage);
+  };
+  // The server has moved us into a room and sent its latest messages
+  const applyJoin = (roomName, ack) => {
     setCurrentRoom(roomName);
-    setHasMoreMessages(true);
+    setHasMoreMessages(ack.hasMore);
+    setChannelReaders(roomName, ack.readers);
+    setActiveThread(null);
+    setMessages(prev => [...prev, ...queuedFor(roomName)]);
   };
 
-  // Load more messages
-  const loadMoreMessages = (room = currentRoom) => {
+  // Join a room
+  const joinRoom = (roomName) => new Promise((resolve) => {
+    socket.emit('join_room', roomName, (ack) => {
+      if (ack.success) {
+        applyJoin(roomName, ack);
+      }
+      resolve(ack);
+    });
+  });
+
+  // Room management, each resolves with the server's acknowledgement
+  const createRoom = (roomData) => new Promise((resolve) => {
+    socket.emit('create_room', roomData, resolve);
+  });
+
+  const updateRoom = (roomId, changes) => new Promise((resolve) => {
+    socket.emit('update_room', { roomId, ...changes }, resolve);
+  });
+
+  const archiveRoom = (roomId) => new Promise((resolve) => {
+    socket.emit('archive_room', { roomId }, resolve);
+  });
+
+  // Edit or delete a room message, resolving with the server's acknowledgement
+  const editMessage = (messageId, message) => new Promise((resolve) => {
+    socket.emit('edit_message', { messageId, message }, resolve);
+  });
+
+  const deleteMessage = (messageId) => new Promise((resolve) => {
+    socket.emit('delete_message', { messageId }, resolve);
+  });
+
+  // Private room membership
+  const inviteToRoom = (roomId, userId) => new Promise((resolve) => {
+    socket.emit('invite_to_room', { roomId, userId }, resolve);
+  });
+
+  const acceptInvite = (roomId) => new Promise((resolve) => {
+    socket.emit('accept_invite', { roomId }, resolve);
+  });
+
+  const declineInvite = (roomId) => new Promise((resolve) => {
+    socket.emit('decline_invite', { roomId }, resolve);
+  });
+
+  const leaveRoom = (roomId) => new Promise((resolve) => {
+    socket.emit('leave_room', { roomId }, resolve);
+  });
+
+  const getRoomMembers = (roomId) => new Promise((resolve) => {
+    socket.emit('get_room_members', { roomId }, resolve);
+  });
+
+  // Moderation, in a room or server-wide when roomId is null. Durations
+  // are in seconds; without one a ban or mute lasts until it is lifted.
+  const kickUser = (roomId, userId, reason) => new Promise((resolve) => {
+    socket.emit('kick_user', { roomId, userId, reason }, resolve);
+  });
+
+  const banUser = (roomId, userId, { reason, duration } = {}) => new Promise((resolve) => {
+    socket.emit('ban_user', { roomId, userId, reason, duration }, resolve);
+  });
+
+  const unbanUser = (roomId, userId) => new Promise((resolve) => {
+    socket.emit('unban_user', { roomId, userId }, resolve);
+  });
+
+  const muteUser = (roomId, userId, { reason, duration } = {}) => new Promise((resolve) => {
+    socket.emit('mute_user', { roomId, userId, reason, duration }, resolve);
+  });
+
+  const unmuteUser = (roomId, userId) => new Promise((resolve) => {
+    socket.emit('unmute_user', { roomId, userId }, resolve);
+  });
+
+  const removeMessage = (messageId, reason) => new Promise((resolve) => {
+    socket.emit('remove_message', { messageId, reason }, resolve);
+  });
+
+  const setRoomRole = (roomId, userId, role) => new Promise((resolve) => {
+    socket.emit('set_room_role', { roomId, userId, role }, resolve);
+  });
+
+  // Load the page of messages before the oldest one shown
+  const loadMoreMessages = async (room = currentRoom) => {
     if (loadingMore || !hasMoreMessages) return;
     
     setLoadingMore(true);
-    socket.emit('load_messages', { room, limit: 20 }, (response) => {
-      if (response.success) {
-        setMessages(prev => [...response.messages, ...prev]);
-        setHasMoreMessages(response.messages.length === 20);
-      }
-      setLoadingMore(false);
-    });
+    const before = messages.find(isStored)?.id;
+    const response = await requestMessages({ room, limit: PAGE_SIZE, before });
+    if (response.success) {
+      setMessages(prev => prependOlder(prev, response.messages));
+      setHasMoreMessages(response.hasMore);
+    }
+    setLoadingMore(false);
   };
 
-  // Set typing status
+  // Set typing status. The server forgets it unless it is sent again
+  // every few seconds while the user keeps typing.
   const setTyping = (isTyping, room = currentRoom) => {
-    socket.emit('typing', { isTyping, room });
+    emitVolatile('typing', { isTyping, room });
   };
 
-  // Send file/image
-  const sendFile = (file, room = currentRoom) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      socket.emit('send_file', {
-        file: reader.result,
-        fileName: file.name,
-        fileType: file.type,
-        room
-      });
-    };
-    reader.readAsDataURL(file);
+  const setPrivateTyping = (isTyping, userId) => {
+    emitVolatile('typing', { isTyping, to: userId });
   };
 
-  // Add reaction to message
-  const addReaction = (messageId, reaction) => {
-    socket.emit('add_reaction', { messageId, reaction });
-  };
+  // Choose online, away or busy, with an optional status message. Resolves
+  // with the server's acknowledgement.
+  const setStatus = (status, statusMessage) => new Promise((resolve) => {
+    socket.emit('set_status', { status, statusMessage }, resolve);
+  });
 
-  // Mark message as read
-  const markAsRead = (messageId) => {
-    socket.emit('mark_read', { messageId });
+  // Upload a file, then share it in a room. Resolves with the server's
+  // acknowledgement, or an UPLOAD_FAILED error.
+  const sendFile = async (file, room = currentRoom) => {
+    let uploaded;
+    try {
+      uploaded = await uploadFile(file);
+    } catch (err) {
+      return { success: false, error: { code: 'UPLOAD_FAILED', message: err.message } };
+    }
+    
+    return new Promise((resolve) => {
+      socket.emit('send_file', { messageId: createClientId(), fileId: uploaded.id, room }, resolve);
+    });
   };
 
+  // Add a reaction to a message, or remove it if we already reacted with
+  // that emoji. Resolves with the server's acknowledgement.
+  const addReaction = (messageId, reaction) => new Promise((resolve) => {
+    socket.emit('add_reaction', { messageId, reaction }, resolve);
+  });
+
+  // Fall back to the default room when the current one is archived
+  useEffect(() => {
+    if (rooms.length > 0 && !rooms.some(room => room.id === currentRoom)) {
+      joinRoom(DEFAULT_ROOM);
+    }
+  }, [rooms, currentRoom]);
+
+  // Report the tab idle after a while without input, and active again on
+  // the next key press or pointer movement
+  useEffect(() => {
+    let timer = null;
+    const onActivity = () => {
+      if (idleRef.current) {
+        idleRef.current = false;
+        emitVolatile('set_idle', { idle: false });
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        idleRef.current = true;
+        emitVolatile('set_idle', { idle: true });
+      }, IDLE_AFTER);
+    };
+
+    const events = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    events.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+    onActivity();
+    return () => {
+      clearTimeout(timer);
+      events.forEach(event => window.removeEventListener(event, onActivity));
+    };
+  }, []);
+
+  // Give up on sends that have waited too long, and keep retrying the rest
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - OUTBOX_TIMEOUT;
+      outboxRef.current
+        .filter(entry => entry.status === 'pending' && entry.createdAt < cutoff)
+        .forEach(entry => markFailed(entry, { code: 'TIMEOUT', message: 'Message could not be delivered' }));
+      flushOutbox();
+    }, 5000);
+    return () => clearInterval(timer);
+  }, []);
+
   // Socket event listeners
   useEffect(() => {
     // Connection events
+    // A reconnect gets a new socket, so rejoin the session; anything queued
+    // while offline is sent once the join is acknowledged
     const onConnect = () => {
       setIsConnected(true);
+      if (currentUserRef.current) {
+        joinSession(currentUserRef.current.username);
+      }
     };
 
     const onDisconnect = () => {
       setIsConnected(false);
+      joinedRef.current = false;
+      // The server drops our typing state too; it is resent after reconnecting
+      setTypingUsers({});
+      setPrivateTypingUsers({});
+    };
+
+    // The server rejects the handshake when the token is missing or expired
+    const onConnectError = (err) => {
+      if (err.message === 'Banned') {
+        setConnectionError(moderationNotice('You are banned from the chat', err.data));
+      } else if (err.message === 'Unauthorized') {
+        clearToken();
+        setConnectionError('Your session has expired. Please log in again.');
+      } else {
+        setConnectionError(`Unable to connect: ${err.message}`);
+      }
+    };
+
+    const onEventError = ({ event, error }) => {
+      setSocketError({ event, ...error });
+    };
+
+    const onRateLimited = ({ code, message, retryAfter }) => {
+      setSlowDown({ code, message });
+      clearTimeout(slowDownTimerRef.current);
+      slowDownTimerRef.current = setTimeout(() => setSlowDown(null), Math.max(retryAfter, SLOW_DOWN_MIN_DURATION));
     };
 
     // Message events
     const onReceiveMessage = (message) => {
+      // Replies only show up in their thread panel
+      if (message.parentId) {
+        setActiveThread(prev => 
+          prev && prev.parent.id === message.parentId
+            ? { ...prev, messages: [...prev.messages, message] }
+            : prev
+        );
+        return;
+      }
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
+      setMessages((prev) => appendNewer(prev, [message]));
     };
 
     const onPrivateMessage = (message) => {
       setLastMessage(message);
-      const otherUser = message.senderId === socket.id ? message.to : message.senderId;
+      // Conversations are keyed by the other user's id, whichever tab sent the message
+      const otherUser = message.userId === currentUserRef.current?.id ? message.to : message.userId;
       setPrivateMessages(prev => ({
         ...prev,
-        [otherUser]: [...(prev[otherUser] || []), message]
+        [otherUser]: appendNewer(prev[otherUser] || [], [message])
       }));
+      refreshConversations();
+    };
+
+    // Unread counts for some channels, after new messages or a read on any device
+    const onUnreadCounts = (counts) => {
+      setUnreadCounts(prev => ({ ...prev, ...counts }));
     };
 
     // User events
+    // The full list arrives once per join, then only what changes
     const onUserList = (userList) => {
-      setUsers(userList);
+      setPresence(Object.fromEntries(userList.map(user => [user.userId, user])));
+    };
+
+    const onPresenceUpdate = ({ userId, ...changes }) => {
+      setPresence(prev => ({ ...prev, [userId]: { ...prev[userId], id: userId, userId, ...changes } }));
+    };
+
+    // Notices meant only for us, shown in the message list
+    const addNotice = (text) => {
+      setMessages(prev => [
+        ...prev,
+        { id: createClientId(), system: true, message: text, timestamp: new Date().toISOString() },
+      ]);
+    };
+
+    // Moderation aimed at us. Losing the whole chat ends the session and explains why on the login screen
+    const onRemovedFromChat = (text, notice) => {
+      disconnect();
+      setConnectionError(moderationNotice(text, notice));
+    };
+
+    const onKicked = async (notice) => {
+      if (!notice.room) {
+        onRemovedFromChat('You were removed from the chat', notice);
+        return;
+      }
+      // The server has already moved us out; reload the room we landed in
+      if (currentRoomRef.current === notice.room) {
+        await joinRoom(DEFAULT_ROOM);
+      }
+      addNotice(moderationNotice(
+        notice.banned ? `You were banned from #${notice.room}` : `You were removed from #${notice.room}`,
+        notice
+      ));
+    };
+
+    const onBanned = (notice) => {
+      onRemovedFromChat('You have been banned from the chat', notice);
+    };
+
+    const onMuted = (notice) => {
+      addNotice(moderationNotice(notice.room ? `You were muted in #${notice.room}` : 'You were muted', notice));
+    };
+
+    const onUnmuted = (notice) => {
+      addNotice(moderationNotice(notice.room ? `You can talk in #${notice.room} again` : 'You can talk again', notice));
+    };
+
+    // Command output meant only for us
+    const onCommandReply = ({ text }) => {
+      addNotice(text);
+    };
+
+    // Someone mentioned us, possibly in a room we are not looking at
+    const onMention = (message) => {
+      setMentions(prev => [message, ...prev.filter(msg => msg.id !== message.id)]);
+      setLastMention(message);
     };
 
     const onUserJoined = (user) => {
@@ -209,7 +1014,7 @@ export const useSocket = () => {
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
+          id: createClientId(),
           system: true,
           message: `${user.username} joined the chat`,
           timestamp: new Date().toISOString(),
@@ -222,7 +1027,7 @@ export const useSocket = () => {
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now(),
+          id: createClientId(),
           system: true,
           message: `${user.username} left the chat`,
           timestamp: new Date().toISOString(),
@@ -230,62 +1035,106 @@ export const useSocket = () => {
       ]);
     };
 
+    // Room events
+    const onRoomList = (roomList) => {
+      setRooms(roomList);
+    };
+
+    const onRoomInvites = (invites) => {
+      setRoomInvites(invites);
+    };
+
     // Typing events
-    const onTypingUsers = (data) => {
-      setTypingUsers(data.users || data);
+    const onTypingUsers = ({ room, userId, users }) => {
+      if (room) {
+        setTypingUsers(prev => ({ ...prev, [room]: users }));
+      } else {
+        setPrivateTypingUsers(prev => ({ ...prev, [userId]: users }));
+      }
     };
 
     // File events
     const onReceiveFile = (fileData) => {
-      const message = {
-        id: Date.now(),
-        sender: fileData.sender,
-        senderId: fileData.senderId,
-        message: `File: ${fileData.fileName}`,
-        file: fileData.file,
-        fileName: fileData.fileName,
-        fileType: fileData.fileType,
-        timestamp: new Date().toISOString(),
-        isFile: true
+      setLastMessage(fileData);
+      setMessages((prev) => appendNewer(prev, [fileData]));
+    };
+
+    // Reaction events carry the full list of users for the emoji, so adds
+    // and removals are applied the same way
+    const onReactionChanged = ({ messageId, reaction, users }) => {
+      const update = (msg) => {
+        if (msg.id !== messageId) return msg;
+        const reactions = { ...msg.reactions, [reaction]: users };
+        if (users.length === 0) delete reactions[reaction];
+        return { ...msg, reactions };
       };
-      setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
+      setMessages((prev) => prev.map(update));
+      setActiveThread(prev => prev && {
+        ...prev,
+        parent: update(prev.parent),
+        messages: prev.messages.map(update),
+      });
+    };
+
+    // Read receipt events, from people in the same room or conversation
+    const onReadReceipt = ({ channel, userId, username, messageId }) => {
+      setReadReceipts(prev => ({
+        ...prev,
+        [channel]: { ...prev[channel], [userId]: { username, messageId } },
+      }));
     };
 
-    // Reaction events
-    const onReactionAdded = (data) => {
-      setMessages((prev) => 
-        prev.map(msg => 
-          msg.id === data.messageId 
-            ? { ...msg, reactions: { ...msg.reactions, [data.reaction]: (msg.reactions?.[data.reaction] || 0) + 1 } }
-            : msg
-        )
-      );
+    // Edited and deleted messages replace the existing copy in place
+    const onMessageChanged = (updated) => {
+      const replace = (msg) => (msg.id === updated.id ? { ...msg, ...updated } : msg);
+      setMessages((prev) => prev.map(replace));
+      // Deleted messages, and edits that drop the mention, leave the list
+      setMentions(prev => prev.map(replace).filter(msg =>
+        !msg.deleted && (msg.annotations?.mentions || []).includes(currentUserRef.current?.id)
+      ));
+      setActiveThread(prev => prev && {
+        ...prev,
+        parent: replace(prev.parent),
+        messages: prev.messages.map(replace),
+      });
     };
 
-    // Read receipt events
-    const onMessageRead = (data) => {
-      setMessages((prev) => 
-        prev.map(msg => 
-          msg.id === data.messageId 
-            ? { ...msg, readBy: [...(msg.readBy || []), data.userId] }
-            : msg
-        )
-      );
+    // Reply counts and the latest reply for a thread's parent message
+    const onThreadUpdated = ({ parentId, replyCount, lastReply }) => {
+      const update = (msg) => (msg.id === parentId ? { ...msg, replyCount, lastReply } : msg);
+      setMessages((prev) => prev.map(update));
+      setActiveThread(prev => prev && { ...prev, parent: update(prev.parent) });
     };
 
     // Register event listeners
     socket.on('connect', onConnect);
     socket.on('disconnect', onDisconnect);
+    socket.on('connect_error', onConnectError);
+    socket.on('rate_limited', onRateLimited);
+    socket.on('event_error', onEventError);
+    socket.on('kicked', onKicked);
+    socket.on('banned', onBanned);
+    socket.on('muted', onMuted);
+    socket.on('unmuted', onUnmuted);
+    socket.on('command_reply', onCommandReply);
+    socket.on('mention', onMention);
     socket.on('receive_message', onReceiveMessage);
     socket.on('private_message', onPrivateMessage);
+    socket.on('unread_counts', onUnreadCounts);
     socket.on('user_list', onUserList);
+    socket.on('presence_update', onPresenceUpdate);
     socket.on('user_joined', onUserJoined);
     socket.on('user_left', onUserLeft);
     socket.on('typing_users', onTypingUsers);
+    socket.on('room_list', onRoomList);
+    socket.on('room_invites', onRoomInvites);
     socket.on('receive_file', onReceiveFile);
-    socket.on('reaction_added', onReactionAdded);
-    socket.on('message_read', onMessageRead);
+    socket.on('reaction_added', onReactionChanged);
+    socket.on('reaction_removed', onReactionChanged);
+    socket.on('read_receipt', onReadReceipt);
+    socket.on('message_edited', onMessageChanged);
+    socket.on('message_deleted', onMessageChanged);
+    socket.on('thread_updated', onThreadUpdated);
     socket.on('room_messages', (messages) => {
       setMessages(messages);
     });
@@ -294,42 +1143,108 @@ export const useSocket = () => {
     return () => {
       socket.off('connect', onConnect);
       socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
+      socket.off('rate_limited', onRateLimited);
+      socket.off('event_error', onEventError);
+      socket.off('kicked', onKicked);
+      socket.off('banned', onBanned);
+      socket.off('muted', onMuted);
+      socket.off('unmuted', onUnmuted);
+      socket.off('command_reply', onCommandReply);
+      socket.off('mention', onMention);
+      clearTimeout(slowDownTimerRef.current);
       socket.off('receive_message', onReceiveMessage);
       socket.off('private_message', onPrivateMessage);
+      socket.off('unread_counts', onUnreadCounts);
       socket.off('user_list', onUserList);
+      socket.off('presence_update', onPresenceUpdate);
       socket.off('user_joined', onUserJoined);
       socket.off('user_left', onUserLeft);
       socket.off('typing_users', onTypingUsers);
+      socket.off('room_list', onRoomList);
+      socket.off('room_invites', onRoomInvites);
       socket.off('receive_file', onReceiveFile);
-      socket.off('reaction_added', onReactionAdded);
-      socket.off('message_read', onMessageRead);
+      socket.off('reaction_added', onReactionChanged);
+      socket.off('reaction_removed', onReactionChanged);
+      socket.off('read_receipt', onReadReceipt);
+      socket.off('message_edited', onMessageChanged);
+      socket.off('message_deleted', onMessageChanged);
+      socket.off('thread_updated', onThreadUpdated);
     };
   }, []);
 
+  // Users online right now, whatever their status
+  const users = Object.values(presence).filter(user => user.status !== 'offline');
+
   return {
     socket,
     isConnected,
     lastMessage,
     messages,
     users,
+    presence,
     typingUsers,
+    privateTypingUsers,
     rooms,
+    roomInvites,
+    activeThread,
     currentRoom,
     privateMessages,
     selectedUser,
+    conversations,
+    conversationHasMore,
+    unreadCounts,
+    readReceipts,
     loadingMore,
     hasMoreMessages,
+    connectionError,
+    socketError,
+    slowDown,
+    currentUser,
     connect,
+    reconnect,
     disconnect,
     sendMessage,
+    listCommands,
+    mentions,
+    lastMention,
+    loadMentions,
     sendPrivateMessage,
+    sendPrivateFile,
+    retryMessage,
+    discardMessage,
     joinRoom,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    inviteToRoom,
+    acceptInvite,
+    declineInvite,
+    leaveRoom,
+    getRoomMembers,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    removeMessage,
+    setRoomRole,
     loadMoreMessages,
     setTyping,
+    setPrivateTyping,
+    setStatus,
     sendFile,
     addReaction,
-    markAsRead,
+    markRead,
+    editMessage,
+    deleteMessage,
+    openThread,
+    loadMoreThread,
+    closeThread,
+    sendReply,
     setSelectedUser,
+    openConversation,
+    loadMoreConversation,
   };
 };
 
@@ -0,0 +1,24 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { socket, emitVolatile } from './socket';
+
+describe('emitVolatile', () => {
+  afterEach(() => {
+    socket.sendBuffer = [];
+  });
+
+  it('drops typing and idle updates made while disconnected', () => {
+    expect(socket.connected).toBe(false);
+    for (let i = 0; i < 30; i++) {
+      emitVolatile('typing', { isTyping: i % 2 === 0, room: 'general' });
+    }
+    emitVolatile('set_idle', { idle: true });
+
+    // Nothing is left to go out in a burst on reconnect
+    expect(socket.sendBuffer).toHaveLength(0);
+  });
+
+  it('leaves other events buffered', () => {
+    socket.emit('send_message', { message: 'hi', room: 'general' });
+    expect(socket.sendBuffer).toHaveLength(1);
+  });
+});
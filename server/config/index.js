@@ -0,0 +1,108 @@
+// config/index.js - Server configuration loaded from environment variables
+
+const crypto = require('crypto');
+const path = require('path');
+
+// Parse an integer environment variable, falling back when unset or invalid
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Parse a comma-separated list, lowercased with blanks dropped
+const toList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+// Parse a "burst/perSecond" rate such as "5/1"
+const toRate = (value, fallback) => {
+  const [burst, perSecond] = String(value || fallback).split('/').map(Number);
+  return burst > 0 && perSecond > 0 ? { burst, perSecond } : toRate(fallback);
+};
+
+// Default limits for socket events, each overridable with
+// RATE_LIMIT_<EVENT>, e.g. RATE_LIMIT_SEND_MESSAGE=10/2
+const DEFAULT_EVENT_LIMITS = {
+  send_message: '5/1',
+  private_message: '5/1',
+  send_file: '3/0.2',
+  edit_message: '5/1',
+  delete_message: '5/1',
+  add_reaction: '10/2',
+  typing: '10/2',
+  mark_read: '10/2',
+  set_status: '5/0.5',
+  set_idle: '10/1',
+  create_room: '3/0.05',
+};
+
+module.exports = {
+  port: process.env.PORT || 5000,
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+
+  // Message storage
+  store: {
+    // 'file' keeps history across restarts, 'memory' is handy for development
+    type: process.env.STORE_TYPE || 'file',
+    file: process.env.STORE_FILE || path.join(__dirname, '..', 'data', 'store.json'),
+    // Delay before pending changes are written to disk
+    flushInterval: toInt(process.env.STORE_FLUSH_INTERVAL, 1000),
+  },
+
+  // Session tokens
+  auth: {
+    // Without a fixed secret, tokens stop working whenever the server restarts
+    secret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+    secretIsGenerated: !process.env.JWT_SECRET,
+    tokenExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    // Lifetime of the tokens in image and download URLs
+    fileTokenExpiresIn: process.env.FILE_TOKEN_EXPIRES_IN || '5m',
+    saltRounds: toInt(process.env.BCRYPT_SALT_ROUNDS, 10),
+  },
+
+  // Account names with server-wide roles. Admins outrank moderators; both
+  // can moderate every room and act on users across the server.
+  admins: toList(process.env.ADMIN_USERS),
+  moderators: toList(process.env.MODERATOR_USERS),
+
+  // Uploaded files, stored on local disk under their content hash
+  uploads: {
+    dir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'data', 'uploads'),
+    maxFileSize: toInt(process.env.UPLOAD_MAX_BYTES, 10 * 1024 * 1024),
+    allowedTypes: toList(process.env.UPLOAD_ALLOWED_TYPES ||
+      'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,application/zip'),
+  },
+
+  // Typing indicators are dropped when a client stops refreshing them
+  typing: {
+    ttl: toInt(process.env.TYPING_TIMEOUT_MS, 5000),
+  },
+
+  // Flood protection for socket events. Users who are rejected `strikes`
+  // times within a minute are muted, and disconnected after `maxMutes`.
+  rateLimits: {
+    events: Object.fromEntries(Object.entries(DEFAULT_EVENT_LIMITS).map(([event, fallback]) =>
+      [event, toRate(process.env[`RATE_LIMIT_${event.toUpperCase()}`], fallback)]
+    )),
+    // Per-user buckets are this many times larger than per-socket ones
+    userMultiplier: toInt(process.env.RATE_LIMIT_USER_MULTIPLIER, 2),
+    strikes: toInt(process.env.RATE_LIMIT_STRIKES, 10),
+    muteDuration: toInt(process.env.RATE_LIMIT_MUTE_MS, 60 * 1000),
+    maxMutes: toInt(process.env.RATE_LIMIT_MAX_MUTES, 3),
+  },
+
+  // Content filter applied to every outgoing message, caption and edit.
+  // FILTER_WORD_MODE is 'mask' (replace with asterisks) or 'block'.
+  contentFilter: {
+    words: toList(process.env.FILTER_WORDS),
+    wordMode: process.env.FILTER_WORD_MODE === 'block' ? 'block' : 'mask',
+    blockedDomains: toList(process.env.FILTER_BLOCKED_DOMAINS),
+  },
+
+  // Message retention, 0 disables a limit
+  retention: {
+    maxMessagesPerRoom: toInt(process.env.MESSAGE_RETENTION_COUNT, 1000),
+    maxAgeDays: toInt(process.env.MESSAGE_RETENTION_DAYS, 0),
+  },
+};
@@ -0,0 +1,60 @@
+// models/accounts.js - Registered user accounts
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const COLLECTION = 'accounts';
+
+// Account names are unique regardless of case
+const accountKey = (username) => username.trim().toLowerCase();
+
+// Never send password hashes to clients
+const toPublicAccount = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+const createAccounts = (store, { saltRounds = 10 } = {}) => {
+  const findByUsername = (username) => store.getRecord(COLLECTION, accountKey(username));
+
+  const findById = (id) =>
+    store.listRecords(COLLECTION).find(account => account.id === id) || null;
+
+  const register = async (username, password) => {
+    if (findByUsername(username)) {
+      return { error: 'Username is already registered' };
+    }
+
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+    // Someone else may have taken the name while the password was hashing
+    if (findByUsername(username)) {
+      return { error: 'Username is already registered' };
+    }
+
+    const account = {
+      id: crypto.randomUUID(),
+      username: username.trim(),
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    store.setRecord(COLLECTION, accountKey(username), account);
+    return { account };
+  };
+
+  // Resolves to the account when the password matches, otherwise null
+  const verifyCredentials = async (username, password) => {
+    const account = findByUsername(username);
+    if (!account) return null;
+    const matches = await bcrypt.compare(password, account.passwordHash);
+    return matches ? account : null;
+  };
+
+  const list = () => store.listRecords(COLLECTION);
+
+  return {
+    findByUsername,
+    findById,
+    list,
+    register,
+    verifyCredentials,
+  };
+};
+
+module.exports = { createAccounts, toPublicAccount };
@@ -0,0 +1,73 @@
+// models/conversations.js - Direct messages between two users
+
+const COLLECTION = 'conversations';
+// Messages waiting for a recipient who was offline when they were sent
+const PENDING_COLLECTION = 'pending_deliveries';
+
+// Both participants get the same id whichever of them writes first. The id
+// is also the store channel holding the conversation's messages.
+const conversationId = (userA, userB) => `dm:${[userA, userB].sort().join(':')}`;
+
+const createConversations = (store) => {
+  const get = (id) => store.getRecord(COLLECTION, id);
+
+  const between = (userId, otherUserId) => get(conversationId(userId, otherUserId));
+
+  const addMessage = (fromUserId, toUserId, message) => {
+    const id = conversationId(fromUserId, toUserId);
+    const existing = get(id);
+    const stored = store.addMessage(id, { ...message, conversationId: id });
+
+    store.setRecord(COLLECTION, id, {
+      id,
+      participants: existing ? existing.participants : [fromUserId, toUserId],
+      createdAt: existing ? existing.createdAt : stored.timestamp,
+      updatedAt: stored.timestamp,
+    });
+    return stored;
+  };
+
+  const getMessages = (userId, otherUserId, options) =>
+    store.getMessages(conversationId(userId, otherUserId), options);
+
+  // The user's conversations, most recently active first
+  const listFor = (userId) =>
+    store.listRecords(COLLECTION)
+      .filter(conversation => conversation.participants.includes(userId))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(conversation => ({
+        id: conversation.id,
+        userId: conversation.participants.find(id => id !== userId),
+        lastMessage: store.getMessages(conversation.id, { limit: 1 }).messages[0] || null,
+        updatedAt: conversation.updatedAt,
+      }));
+
+  const queueDelivery = (userId, messageId) => {
+    const pending = store.getRecord(PENDING_COLLECTION, userId) || [];
+    store.setRecord(PENDING_COLLECTION, userId, [...pending, messageId]);
+  };
+
+  // Hands over everything queued for the user, marking it delivered
+  const takePendingDeliveries = (userId) => {
+    const pending = store.getRecord(PENDING_COLLECTION, userId) || [];
+    if (pending.length === 0) return [];
+
+    store.deleteRecord(PENDING_COLLECTION, userId);
+    const deliveredAt = new Date().toISOString();
+    return pending
+      .map(messageId => store.updateMessage(messageId, { deliveredAt }))
+      .filter(Boolean);
+  };
+
+  return {
+    get,
+    between,
+    addMessage,
+    getMessages,
+    listFor,
+    queueDelivery,
+    takePendingDeliveries,
+  };
+};
+
+module.exports = { createConversations, conversationId };
@@ -0,0 +1,69 @@
+// models/files.js - Uploaded files, stored on disk under their content hash
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createId } = require('../utils/ids');
+
+const COLLECTION = 'files';
+
+// What clients see about a file; the hash and disk location stay private
+const toPublicFile = ({ id, name, type, size, uploadedAt }) => ({ id, name, type, size, uploadedAt });
+
+const createFiles = (store, { dir }) => {
+  const get = (fileId) => store.getRecord(COLLECTION, fileId);
+
+  // Identical uploads share one blob; two levels keep directories small
+  const blobPath = (hash) => path.join(dir, hash.slice(0, 2), hash);
+
+  const pathFor = (file) => blobPath(file.hash);
+
+  // Writes the blob if it is new and records the upload. Each upload gets
+  // its own id so files can be shared and access-checked independently.
+  const save = async ({ buffer, name, type }, user) => {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const target = blobPath(hash);
+
+    if (!fs.existsSync(target)) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // Concurrent uploads of the same content each write their own temp file
+      const tempPath = `${target}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+      try {
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, target);
+      } catch (err) {
+        await fs.promises.rm(tempPath, { force: true });
+        // Another upload of the same content got there first
+        if (!fs.existsSync(target)) throw err;
+      }
+    }
+
+    const file = {
+      id: createId(),
+      hash,
+      name: path.basename(name || 'file'),
+      type,
+      size: buffer.length,
+      uploadedBy: { id: user.id, username: user.username },
+      uploadedAt: new Date().toISOString(),
+      // Rooms or conversations the file has been posted in
+      sharedIn: [],
+    };
+    store.setRecord(COLLECTION, file.id, file);
+    return file;
+  };
+
+  const share = (file, channel) => {
+    if (file.sharedIn.includes(channel)) return file;
+    return store.setRecord(COLLECTION, file.id, { ...file, sharedIn: [...file.sharedIn, channel] });
+  };
+
+  return {
+    get,
+    pathFor,
+    save,
+    share,
+  };
+};
+
+module.exports = { createFiles, toPublicFile };
@@ -0,0 +1,57 @@
+// models/mentions.js - Finding @mentions in messages and each user's recent mentions
+
+const COLLECTION = 'mentions';
+// Older mentions drop out of a user's inbox
+const MAX_MENTIONS = 100;
+
+// "@name" at the start of the text or after a character that cannot be part
+// of a name, so email addresses are not mentions
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]+)/g;
+
+// The names a text mentions, lower-cased. @here and @room come back as flags.
+const parseMentions = (text) => {
+  const names = new Set();
+  let here = false;
+  let room = false;
+  for (const [, , raw] of text.matchAll(MENTION_PATTERN)) {
+    // A full stop after a name ends the sentence
+    const name = raw.replace(/[.-]+$/, '').toLowerCase();
+    if (name === 'here') {
+      here = true;
+    } else if (name === 'room') {
+      room = true;
+    } else if (name) {
+      names.add(name);
+    }
+  }
+  return { names: [...names], here, room };
+};
+
+// The user ids a stored message mentions
+const mentionedIn = (message) => message.annotations?.mentions || [];
+
+const createMentions = (store) => {
+  // user id -> { userId, messageIds }, newest first
+  const idsFor = (userId) => store.getRecord(COLLECTION, userId)?.messageIds || [];
+
+  const add = (userIds, messageId) => {
+    userIds.forEach(userId => {
+      const messageIds = [messageId, ...idsFor(userId).filter(id => id !== messageId)].slice(0, MAX_MENTIONS);
+      store.setRecord(COLLECTION, userId, { userId, messageIds });
+    });
+  };
+
+  // Messages that still mention the user, newest first. Deleted messages
+  // and edits that took the mention out drop out of the list.
+  const recentFor = (userId) =>
+    idsFor(userId)
+      .map(messageId => store.findMessage(messageId))
+      .filter(message => message && !message.deleted && mentionedIn(message).includes(userId));
+
+  return {
+    add,
+    recentFor,
+  };
+};
+
+module.exports = { createMentions, parseMentions, mentionedIn };
@@ -0,0 +1,62 @@
+// models/moderation.js - Server-wide roles, bans and mutes
+//
+// Room-level roles and restrictions live on the room itself (see
+// models/rooms.js); both use the restriction records built here.
+
+const BANS = 'bans';
+const MUTES = 'mutes';
+
+// A ban or mute; without a duration it lasts until lifted
+const createRestriction = (userId, { by, reason, duration }) => {
+  const now = Date.now();
+  return {
+    userId,
+    // A null reason is the same as none
+    reason: (reason ?? '').trim(),
+    by: { id: by.id, username: by.username },
+    createdAt: new Date(now).toISOString(),
+    expiresAt: duration ? new Date(now + duration * 1000).toISOString() : null,
+  };
+};
+
+const isActive = (restriction) =>
+  Boolean(restriction) && (!restriction.expiresAt || restriction.expiresAt > new Date().toISOString());
+
+const createModeration = (store, { admins = [], moderators = [] } = {}) => {
+  // Server roles come from configuration, by account name
+  const roleOf = (account) => {
+    const name = account && account.username ? account.username.toLowerCase() : null;
+    if (admins.includes(name)) return 'admin';
+    if (moderators.includes(name)) return 'moderator';
+    return 'user';
+  };
+
+  // Expired records are dropped the first time they are looked at
+  const active = (collection, userId) => {
+    const restriction = store.getRecord(collection, userId);
+    if (!restriction) return null;
+    if (isActive(restriction)) return restriction;
+    store.deleteRecord(collection, userId);
+    return null;
+  };
+
+  const ban = (userId, options) => store.setRecord(BANS, userId, createRestriction(userId, options));
+  const unban = (userId) => store.deleteRecord(BANS, userId);
+  const activeBan = (userId) => active(BANS, userId);
+
+  const mute = (userId, options) => store.setRecord(MUTES, userId, createRestriction(userId, options));
+  const unmute = (userId) => store.deleteRecord(MUTES, userId);
+  const activeMute = (userId) => active(MUTES, userId);
+
+  return {
+    roleOf,
+    ban,
+    unban,
+    activeBan,
+    mute,
+    unmute,
+    activeMute,
+  };
+};
+
+module.exports = { createModeration, createRestriction, isActive };
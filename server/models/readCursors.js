@@ -0,0 +1,57 @@
+// models/readCursors.js - Each user's last-read message per room and conversation
+
+const COLLECTION = 'read_cursors';
+
+const createReadCursors = (store) => {
+  // user id -> { userId, channels: { channel: message id } }
+  const forUser = (userId) => store.getRecord(COLLECTION, userId) || { userId, channels: {} };
+
+  const get = (userId, channel) => forUser(userId).channels[channel] || null;
+
+  // Moves cursors forward only; message ids sort by creation time. Returns
+  // the cursors that actually changed.
+  const advance = (userId, cursors) => {
+    const record = forUser(userId);
+    const changed = {};
+    Object.entries(cursors).forEach(([channel, messageId]) => {
+      const current = record.channels[channel];
+      if (!current || String(messageId) > String(current)) {
+        changed[channel] = messageId;
+      }
+    });
+
+    if (Object.keys(changed).length > 0) {
+      store.setRecord(COLLECTION, userId, { userId, channels: { ...record.channels, ...changed } });
+    }
+    return changed;
+  };
+
+  // Everyone's position in a channel, for read receipts
+  const readersOf = (channel) =>
+    store.listRecords(COLLECTION)
+      .filter(record => record.channels[channel])
+      .map(record => ({ userId: record.userId, messageId: record.channels[channel] }));
+
+  // Messages from other users after the cursor. Without a cursor, only
+  // messages newer than `after` count, so history from before the user
+  // arrived is not unread.
+  const unreadMessages = (userId, channel, { after } = {}) => {
+    const cursor = get(userId, channel);
+    return store.getMessages(channel, { since: cursor })
+      .messages
+      .filter(msg =>
+        msg.userId !== userId &&
+        !msg.deleted &&
+        (cursor || !after || msg.timestamp > after)
+      );
+  };
+
+  return {
+    get,
+    advance,
+    readersOf,
+    unreadMessages,
+  };
+};
+
+module.exports = { createReadCursors };
@@ -0,0 +1,323 @@
+// models/rooms.js - Chat rooms and their metadata
+
+const { createRestriction, isActive } = require('./moderation');
+
+const COLLECTION = 'rooms';
+
+// Everyone lands here after joining, so it can never be archived
+const DEFAULT_ROOM = 'general';
+const DEFAULT_ROOMS = ['general', 'random', 'help'];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+const MAX_TOPIC_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 500;
+const VISIBILITIES = ['public', 'private'];
+// Roles the owner can hand out; the creator is always the owner
+const ASSIGNABLE_ROLES = ['moderator', 'member'];
+
+const normalizeName = (name) => (typeof name === 'string' ? name.trim().toLowerCase() : '');
+
+const validateRoomFields = ({ name, topic, description, visibility }) => {
+  if (name !== undefined && !NAME_PATTERN.test(normalizeName(name))) {
+    return {
+      code: 'INVALID_ROOM_NAME',
+      message: 'Room names must be 2-32 characters of letters, numbers, dashes or underscores',
+    };
+  }
+  if (topic !== undefined && (typeof topic !== 'string' || topic.length > MAX_TOPIC_LENGTH)) {
+    return { code: 'INVALID_ROOM_TOPIC', message: `Topic must be at most ${MAX_TOPIC_LENGTH} characters` };
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return {
+      code: 'INVALID_ROOM_DESCRIPTION',
+      message: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`,
+    };
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return { code: 'INVALID_ROOM_VISIBILITY', message: 'Visibility must be "public" or "private"' };
+  }
+  return null;
+};
+
+const createRooms = (store) => {
+  const get = (roomId) => store.getRecord(COLLECTION, roomId);
+
+  const list = ({ includeArchived = false } = {}) =>
+    store.listRecords(COLLECTION)
+      .filter(room => includeArchived || !room.archived)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const activeBan = (room, userId) => (room.bans || []).find(ban => ban.userId === userId && isActive(ban)) || null;
+  const activeMute = (room, userId) => (room.mutes || []).find(mute => mute.userId === userId && isActive(mute)) || null;
+
+  // Public rooms are open to everyone, private rooms only to their members,
+  // and neither to users banned from them
+  const canAccess = (room, userId) =>
+    Boolean(room && !room.archived && !activeBan(room, userId) &&
+      (room.visibility !== 'private' || room.members.includes(userId)));
+
+  // Rooms a user can see in their room list
+  const listFor = (userId) => list().filter(room => canAccess(room, userId));
+
+  // Looks up a room the user may read and post in
+  const findAccessible = (roomId, userId) => {
+    const room = get(roomId);
+    if (!room || room.archived) {
+      return { error: { code: 'ROOM_NOT_FOUND', message: 'Room not found' } };
+    }
+    if (activeBan(room, userId)) {
+      return { error: { code: 'BANNED', message: `You are banned from #${room.name}` } };
+    }
+    if (!canAccess(room, userId)) {
+      return { error: { code: 'NOT_A_MEMBER', message: 'You are not a member of this room' } };
+    }
+    return { room };
+  };
+
+  const isNameTaken = (name, exceptRoomId) =>
+    list().some(room => room.name === name && room.id !== exceptRoomId);
+
+  // Room ids are derived from the first name and never change, so history
+  // stays attached to the room when it is renamed
+  const uniqueId = (name) => {
+    let id = name;
+    for (let suffix = 2; get(id); suffix++) {
+      id = `${name}-${suffix}`;
+    }
+    return id;
+  };
+
+  const create = ({ name, topic = '', description = '', visibility = 'public' }, user) => {
+    const invalid = validateRoomFields({ name: name ?? '', topic, description, visibility });
+    if (invalid) return { error: invalid };
+
+    const roomName = normalizeName(name);
+    if (isNameTaken(roomName)) {
+      return { error: { code: 'ROOM_EXISTS', message: `A room named #${roomName} already exists` } };
+    }
+
+    const now = new Date().toISOString();
+    const room = {
+      id: uniqueId(roomName),
+      name: roomName,
+      topic: topic.trim(),
+      description: description.trim(),
+      createdBy: user ? { id: user.id, username: user.username } : null,
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+      visibility,
+      // Only meaningful for private rooms; the creator is the first member
+      members: visibility === 'private' && user ? [user.id] : [],
+      invites: [],
+      moderators: [],
+      bans: [],
+      mutes: [],
+    };
+    store.setRecord(COLLECTION, room.id, room);
+    return { room };
+  };
+
+  const save = (room, changes) => {
+    const updated = { ...room, ...changes, updatedAt: new Date().toISOString() };
+    store.setRecord(COLLECTION, room.id, updated);
+    return updated;
+  };
+
+  // Built-in rooms have no creator and can only be managed by the server
+  const canManage = (room, user) => Boolean(room.createdBy && user && room.createdBy.id === user.id);
+
+  const findManageable = (roomId, user) => {
+    const { room, error } = findAccessible(roomId, user && user.id);
+    if (error) return { error };
+    if (!canManage(room, user)) {
+      return { error: { code: 'FORBIDDEN', message: 'Only the room creator can change this room' } };
+    }
+    return { room };
+  };
+
+  const update = (roomId, { name, topic, description }, user) => {
+    const { room, error } = findManageable(roomId, user);
+    if (error) return { error };
+
+    const invalid = validateRoomFields({ name, topic, description });
+    if (invalid) return { error: invalid };
+
+    const changes = {};
+    if (name !== undefined) {
+      const roomName = normalizeName(name);
+      if (isNameTaken(roomName, roomId)) {
+        return { error: { code: 'ROOM_EXISTS', message: `A room named #${roomName} already exists` } };
+      }
+      changes.name = roomName;
+    }
+    if (topic !== undefined) changes.topic = topic.trim();
+    if (description !== undefined) changes.description = description.trim();
+
+    return { room: save(room, changes) };
+  };
+
+  // Archived rooms keep their history but disappear from the room list
+  const archive = (roomId, user) => {
+    if (roomId === DEFAULT_ROOM) {
+      return { error: { code: 'FORBIDDEN', message: `#${DEFAULT_ROOM} cannot be archived` } };
+    }
+
+    const { room, error } = findManageable(roomId, user);
+    if (error) return { error };
+
+    return { room: save(room, { archived: true, archivedAt: new Date().toISOString() }) };
+  };
+
+  const findPrivate = (roomId, userId) => {
+    const { room, error } = findAccessible(roomId, userId);
+    if (error) return { error };
+    if (room.visibility !== 'private') {
+      return { error: { code: 'ROOM_IS_PUBLIC', message: 'Public rooms are open to everyone' } };
+    }
+    return { room };
+  };
+
+  // Any member of a private room may invite someone else into it
+  const invite = (roomId, inviteeId, user) => {
+    const { room, error } = findPrivate(roomId, user.id);
+    if (error) return { error };
+
+    if (room.members.includes(inviteeId)) {
+      return { error: { code: 'ALREADY_A_MEMBER', message: 'That user is already a member' } };
+    }
+    if (room.invites.some(pending => pending.userId === inviteeId)) {
+      return { error: { code: 'ALREADY_INVITED', message: 'That user has already been invited' } };
+    }
+
+    const invitation = {
+      userId: inviteeId,
+      invitedBy: { id: user.id, username: user.username },
+      invitedAt: new Date().toISOString(),
+    };
+    return { room: save(room, { invites: [...room.invites, invitation] }) };
+  };
+
+  const findInvite = (roomId, userId) => {
+    const room = get(roomId);
+    if (!room || room.archived || !(room.invites || []).some(pending => pending.userId === userId)) {
+      return { error: { code: 'INVITE_NOT_FOUND', message: 'No pending invite for this room' } };
+    }
+    return { room };
+  };
+
+  const withoutInvite = (room, userId) => room.invites.filter(pending => pending.userId !== userId);
+
+  const acceptInvite = (roomId, userId) => {
+    const { room, error } = findInvite(roomId, userId);
+    if (error) return { error };
+    return {
+      room: save(room, { members: [...room.members, userId], invites: withoutInvite(room, userId) }),
+    };
+  };
+
+  const declineInvite = (roomId, userId) => {
+    const { room, error } = findInvite(roomId, userId);
+    if (error) return { error };
+    return { room: save(room, { invites: withoutInvite(room, userId) }) };
+  };
+
+  const leave = (roomId, userId) => {
+    const { room, error } = findPrivate(roomId, userId);
+    if (error) return { error };
+    return { room: save(room, { members: room.members.filter(id => id !== userId) }) };
+  };
+
+  const roleOf = (room, userId) => {
+    if (room.createdBy && room.createdBy.id === userId) return 'owner';
+    if ((room.moderators || []).includes(userId)) return 'moderator';
+    return 'member';
+  };
+
+  const setRole = (roomId, userId, role) => {
+    const room = get(roomId);
+    if (!room || room.archived) {
+      return { error: { code: 'ROOM_NOT_FOUND', message: 'Room not found' } };
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return { error: { code: 'INVALID_ROLE', message: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` } };
+    }
+    if (roleOf(room, userId) === 'owner') {
+      return { error: { code: 'FORBIDDEN', message: "The room owner's role cannot be changed" } };
+    }
+
+    const moderators = (room.moderators || []).filter(id => id !== userId);
+    return { room: save(room, { moderators: role === 'moderator' ? [...moderators, userId] : moderators }) };
+  };
+
+  // Replaces any earlier restriction of the same kind for the user, and
+  // drops ones that have run out
+  const restrict = (room, kind, userId, options) => ({
+    [kind]: [
+      ...(room[kind] || []).filter(entry => entry.userId !== userId && isActive(entry)),
+      createRestriction(userId, options),
+    ],
+  });
+
+  const lift = (room, kind, userId) => ({
+    [kind]: (room[kind] || []).filter(entry => entry.userId !== userId),
+  });
+
+  // Banned users also lose their membership of private rooms
+  const ban = (room, userId, options) =>
+    save(room, { ...restrict(room, 'bans', userId, options), members: room.members.filter(id => id !== userId) });
+  const unban = (room, userId) => save(room, lift(room, 'bans', userId));
+  const mute = (room, userId, options) => save(room, restrict(room, 'mutes', userId, options));
+  const unmute = (room, userId) => save(room, lift(room, 'mutes', userId));
+
+  // Pending invitations addressed to a user
+  const invitesFor = (userId) =>
+    list()
+      .filter(room => room.visibility === 'private')
+      .flatMap(room => room.invites
+        .filter(pending => pending.userId === userId)
+        .map(({ invitedBy, invitedAt }) => ({
+          room: { id: room.id, name: room.name, topic: room.topic },
+          invitedBy,
+          invitedAt,
+        })));
+
+  // Rooms created before visibility existed are public
+  list({ includeArchived: true }).forEach(room => {
+    if (!room.visibility) {
+      store.setRecord(COLLECTION, room.id, { ...room, visibility: 'public', members: [], invites: [] });
+    }
+  });
+
+  // Seed the built-in rooms on first start
+  DEFAULT_ROOMS.forEach(name => {
+    if (!get(name)) create({ name });
+  });
+
+  return {
+    get,
+    list,
+    listFor,
+    canAccess,
+    findAccessible,
+    create,
+    update,
+    archive,
+    canManage,
+    invite,
+    acceptInvite,
+    declineInvite,
+    leave,
+    invitesFor,
+    roleOf,
+    setRole,
+    activeBan,
+    activeMute,
+    ban,
+    unban,
+    mute,
+    unmute,
+  };
+};
+
+module.exports = { createRooms, DEFAULT_ROOM };
@@ -0,0 +1,178 @@
+// models/sessions.js - One chat session per user, shared by all of their sockets
+
+const COLLECTION = 'sessions';
+
+// Statuses a user can pick; 'offline' only ever comes from having no sockets
+const STATUSES = ['online', 'away', 'busy'];
+const MAX_STATUS_MESSAGE_LENGTH = 100;
+
+// What other users see about an online user
+const toPublicSession = ({ userId, username, currentRoom }) => ({
+  id: userId,
+  userId,
+  username,
+  currentRoom,
+});
+
+// A user is away when they say so or when every one of their tabs is idle
+const effectiveStatus = (session) => {
+  if (session.status !== 'online') return session.status;
+  return session.idleSockets.size === session.sockets.size ? 'away' : 'online';
+};
+
+const createSessions = (store) => {
+  // user id -> { userId, username, currentRoom, status, statusMessage,
+  //   sockets: Set<socket id>, idleSockets: Set<socket id>, connectedAt }
+  const active = new Map();
+
+  const get = (userId) => active.get(userId) || null;
+
+  // Online users, one entry per user however many tabs they have open
+  const list = () => [...active.values()].map(toPublicSession);
+
+  const isOnline = (userId) => active.has(userId);
+
+  // State left behind by the user's last visit, kept so a reconnect
+  // (or a server restart) can put them back where they were
+  const saved = (userId) => store.getRecord(COLLECTION, userId) || null;
+
+  const persist = ({ userId, username, currentRoom, status, statusMessage }) => {
+    store.setRecord(COLLECTION, userId, {
+      userId,
+      username,
+      currentRoom,
+      status,
+      statusMessage,
+      lastSeenAt: new Date().toISOString(),
+    });
+  };
+
+  // What everyone sees about a user, online or not. Only users who have
+  // joined the chat at least once have presence.
+  const presenceOf = (userId) => {
+    const session = active.get(userId);
+    if (session) {
+      return {
+        id: userId,
+        userId,
+        username: session.username,
+        status: effectiveStatus(session),
+        statusMessage: session.statusMessage,
+        lastSeenAt: null,
+      };
+    }
+
+    const previous = saved(userId);
+    if (!previous) return null;
+    return {
+      id: userId,
+      userId,
+      username: previous.username,
+      status: 'offline',
+      statusMessage: previous.statusMessage || '',
+      lastSeenAt: previous.lastSeenAt,
+    };
+  };
+
+  const presenceList = () =>
+    store.listRecords(COLLECTION).map(record => presenceOf(record.userId));
+
+  // Adds a socket to the user's session. isFirst is true when this socket
+  // brought the user online.
+  const attach = (userId, socketId, { username, defaultRoom }) => {
+    let session = active.get(userId);
+    const isFirst = !session;
+    if (isFirst) {
+      const previous = saved(userId);
+      session = {
+        userId,
+        username,
+        currentRoom: (previous && previous.currentRoom) || defaultRoom,
+        // A chosen status and message carry over to the next visit
+        status: (previous && previous.status) || 'online',
+        statusMessage: (previous && previous.statusMessage) || '',
+        sockets: new Set(),
+        idleSockets: new Set(),
+        connectedAt: new Date().toISOString(),
+      };
+      active.set(userId, session);
+      persist(session);
+    }
+    session.sockets.add(socketId);
+    return { session, isFirst };
+  };
+
+  // Removes a socket from the user's session. isLast is true when it was
+  // the user's last connection and they are now offline.
+  const detach = (userId, socketId) => {
+    const session = active.get(userId);
+    if (!session || !session.sockets.delete(socketId)) {
+      return { session: null, isLast: false };
+    }
+    session.idleSockets.delete(socketId);
+
+    const isLast = session.sockets.size === 0;
+    if (isLast) {
+      active.delete(userId);
+      persist(session);
+    }
+    return { session, isLast };
+  };
+
+  const update = (userId, changes) => {
+    const session = active.get(userId);
+    if (!session) return null;
+    Object.assign(session, changes);
+    persist(session);
+    return session;
+  };
+
+  const setStatus = (userId, { status, statusMessage }) => {
+    if (!active.has(userId)) {
+      return { error: { code: 'NOT_JOINED', message: 'Join the chat before setting a status' } };
+    }
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return { error: { code: 'INVALID_STATUS', message: `Status must be one of: ${STATUSES.join(', ')}` } };
+    }
+    if (statusMessage !== undefined && typeof statusMessage !== 'string') {
+      return { error: { code: 'INVALID_STATUS', message: 'Status message must be text' } };
+    }
+    if (statusMessage && statusMessage.trim().length > MAX_STATUS_MESSAGE_LENGTH) {
+      return { error: { code: 'INVALID_STATUS', message: `Status message must be at most ${MAX_STATUS_MESSAGE_LENGTH} characters` } };
+    }
+
+    update(userId, {
+      ...(status !== undefined && { status }),
+      ...(statusMessage !== undefined && { statusMessage: statusMessage.trim() }),
+    });
+    return { presence: presenceOf(userId) };
+  };
+
+  // Tabs report when nobody has used them for a while; not saved, since a
+  // fresh connection starts out active
+  const setIdle = (userId, socketId, idle) => {
+    const session = active.get(userId);
+    if (!session || !session.sockets.has(socketId)) return;
+    if (idle) {
+      session.idleSockets.add(socketId);
+    } else {
+      session.idleSockets.delete(socketId);
+    }
+  };
+
+  return {
+    get,
+    list,
+    isOnline,
+    saved,
+    attach,
+    detach,
+    update,
+    presenceOf,
+    presenceList,
+    setStatus,
+    setIdle,
+  };
+};
+
+module.exports = { createSessions };
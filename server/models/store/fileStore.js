@@ -0,0 +1,70 @@
+// store/fileStore.js - JSON file backed message store
+//
+// Keeps the working set in memory and writes a snapshot to disk shortly
+// after every change, so history survives restarts.
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+const loadSnapshot = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Could not read message store at ${file}:`, err.message);
+    }
+    return {};
+  }
+};
+
+const createFileStore = ({ file, retention, flushInterval = 1000 } = {}) => {
+  if (!file) {
+    throw new Error('File store requires a "file" option');
+  }
+
+  const memory = createMemoryStore({ retention, initialData: loadSnapshot(file) });
+  let flushTimer = null;
+
+  // Write to a temporary file first so a crash never leaves a half-written store
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const tempFile = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(memory.toJSON()));
+    fs.renameSync(tempFile, file);
+  };
+
+  const scheduleFlush = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(() => {
+        try {
+          flush();
+        } catch (err) {
+          console.error('Failed to write message store:', err.message);
+        }
+      }, flushInterval);
+    }
+  };
+
+  // Wrap a mutating memory store method so it schedules a write
+  const persisted = (method) => (...args) => {
+    const result = method(...args);
+    if (result) scheduleFlush();
+    return result;
+  };
+
+  return {
+    ...memory,
+    addMessage: persisted(memory.addMessage),
+    updateMessage: persisted(memory.updateMessage),
+    setRecord: persisted(memory.setRecord),
+    deleteRecord: persisted(memory.deleteRecord),
+    close: () => {
+      if (flushTimer) flush();
+    },
+  };
+};
+
+module.exports = { createFileStore };
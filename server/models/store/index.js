@@ -0,0 +1,39 @@
+// store/index.js - Pluggable message storage
+//
+// Every adapter exposes the same interface:
+//   addMessage(room, message)         -> stored message
+//   getMessages(room, { limit, offset, before, since }) -> { messages, hasMore }
+//     before: page back from a message id (exclusive)
+//     since:  messages after a message id, oldest first; hasMore means
+//             newer messages remain past the returned page
+//   findMessage(messageId)            -> message or null
+//   updateMessage(messageId, updates) -> updated message or null
+//   getRecord(collection, key)        -> stored value or null
+//   setRecord(collection, key, value) -> stored value
+//   deleteRecord(collection, key)     -> true if something was removed
+//   listRecords(collection)           -> array of stored values
+//   close()                           -> flush pending writes
+//
+// Records are small keyed documents (accounts, settings, ...) that need to
+// survive restarts alongside the message history.
+//
+// Adapters apply the retention rules they are given, so callers never
+// have to trim history themselves.
+
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+const adapters = {
+  memory: createMemoryStore,
+  file: createFileStore,
+};
+
+const createStore = ({ type = 'memory', ...options } = {}) => {
+  const createAdapter = adapters[type];
+  if (!createAdapter) {
+    throw new Error(`Unknown store type "${type}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return createAdapter(options);
+};
+
+module.exports = { createStore };
@@ -0,0 +1,146 @@
+// store/memoryStore.js - In-memory message store
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createMemoryStore = ({ retention = {}, initialData = {} } = {}) => {
+  const { maxMessagesPerRoom = 0, maxAgeDays = 0 } = retention;
+
+  // room -> array of messages (oldest first), plus an id index for lookups
+  const messages = new Map();
+  const messageIndex = new Map();
+
+  // collection -> Map of key -> record
+  const records = new Map();
+
+  // Drop messages that fall outside the retention rules
+  const prune = (room) => {
+    const roomMessages = messages.get(room);
+    let removeCount = 0;
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * DAY_MS;
+      while (
+        removeCount < roomMessages.length &&
+        new Date(roomMessages[removeCount].timestamp).getTime() < cutoff
+      ) {
+        removeCount++;
+      }
+    }
+
+    if (maxMessagesPerRoom > 0) {
+      removeCount = Math.max(removeCount, roomMessages.length - maxMessagesPerRoom);
+    }
+
+    if (removeCount > 0) {
+      roomMessages.splice(0, removeCount).forEach(msg => messageIndex.delete(msg.id));
+    }
+  };
+
+  const getRoom = (room) => {
+    if (!messages.has(room)) {
+      messages.set(room, []);
+    }
+    return messages.get(room);
+  };
+
+  const addMessage = (room, message) => {
+    getRoom(room).push(message);
+    messageIndex.set(message.id, message);
+    prune(room);
+    return message;
+  };
+
+  // Position of a cursor message in a room. Ids sort by creation time, so a
+  // cursor that has since been pruned still lands in the right place.
+  const findCursor = (roomMessages, cursor) => {
+    const index = roomMessages.findIndex(msg => msg.id === cursor);
+    if (index !== -1) return { index, found: true };
+    const later = roomMessages.findIndex(msg => String(msg.id) > String(cursor));
+    return { index: later === -1 ? roomMessages.length : later, found: false };
+  };
+
+  const getMessages = (room, { limit, offset = 0, before, since } = {}) => {
+    const roomMessages = messages.get(room) || [];
+
+    if (since !== undefined && since !== null) {
+      const { index, found } = findCursor(roomMessages, since);
+      const startIndex = found ? index + 1 : index;
+      const endIndex = limit ? Math.min(roomMessages.length, startIndex + limit) : roomMessages.length;
+      return {
+        messages: roomMessages.slice(startIndex, endIndex),
+        hasMore: endIndex < roomMessages.length,
+      };
+    }
+
+    const endIndex = before !== undefined && before !== null
+      ? findCursor(roomMessages, before).index
+      : Math.max(0, roomMessages.length - offset);
+    const startIndex = limit ? Math.max(0, endIndex - limit) : 0;
+
+    return {
+      messages: roomMessages.slice(startIndex, endIndex),
+      hasMore: startIndex > 0,
+    };
+  };
+
+  const findMessage = (messageId) => messageIndex.get(messageId) || null;
+
+  const updateMessage = (messageId, updates) => {
+    const message = messageIndex.get(messageId);
+    if (!message) return null;
+    Object.assign(message, updates);
+    return message;
+  };
+
+  const getCollection = (collection) => {
+    if (!records.has(collection)) {
+      records.set(collection, new Map());
+    }
+    return records.get(collection);
+  };
+
+  const getRecord = (collection, key) => getCollection(collection).get(key) || null;
+
+  const setRecord = (collection, key, value) => {
+    getCollection(collection).set(key, value);
+    return value;
+  };
+
+  const deleteRecord = (collection, key) => getCollection(collection).delete(key);
+
+  const listRecords = (collection) => [...getCollection(collection).values()];
+
+  // Plain object snapshot used by persistent adapters
+  const toJSON = () => ({
+    messages: Object.fromEntries(messages),
+    records: Object.fromEntries(
+      [...records].map(([collection, entries]) => [collection, Object.fromEntries(entries)])
+    ),
+  });
+
+  // Restore from a snapshot, re-applying retention in case the rules changed
+  Object.entries(initialData.messages || {}).forEach(([room, roomMessages]) => {
+    messages.set(room, roomMessages);
+    roomMessages.forEach(msg => messageIndex.set(msg.id, msg));
+    prune(room);
+  });
+
+  Object.entries(initialData.records || {}).forEach(([collection, entries]) => {
+    records.set(collection, new Map(Object.entries(entries)));
+  });
+
+  return {
+    addMessage,
+    getMessages,
+    findMessage,
+    updateMessage,
+    getRecord,
+    setRecord,
+    deleteRecord,
+    listRecords,
+    toJSON,
+    close: () => {},
+  };
+};
+
+module.exports = { createMemoryStore };
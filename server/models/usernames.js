@@ -0,0 +1,67 @@
+// models/usernames.js - Username validation and case-insensitive reservations
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 24;
+const ALLOWED_CHARACTERS = /^[A-Za-z0-9_.-]+$/;
+
+// Returns { code, message } describing the first rule the name breaks, or null
+const validateUsername = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { code: 'USERNAME_REQUIRED', message: 'Username is required' };
+  }
+
+  const trimmed = name.trim();
+  if (trimmed.length < MIN_LENGTH) {
+    return { code: 'USERNAME_TOO_SHORT', message: `Username must be at least ${MIN_LENGTH} characters` };
+  }
+  if (trimmed.length > MAX_LENGTH) {
+    return { code: 'USERNAME_TOO_LONG', message: `Username must be at most ${MAX_LENGTH} characters` };
+  }
+  if (!ALLOWED_CHARACTERS.test(trimmed)) {
+    return {
+      code: 'USERNAME_INVALID_CHARACTERS',
+      message: 'Username may only contain letters, numbers, dots, dashes and underscores',
+    };
+  }
+  return null;
+};
+
+// Tracks which user currently holds each chat name. Registered account
+// names stay reserved for their owners even while they are offline.
+const createUsernameRegistry = (accounts) => {
+  // lower-cased name -> user id
+  const reserved = new Map();
+
+  const isTaken = (name, userId) => {
+    const key = name.trim().toLowerCase();
+    const holder = reserved.get(key);
+    if (holder && holder !== userId) return true;
+
+    const account = accounts.findByUsername(name);
+    return Boolean(account && account.id !== userId);
+  };
+
+  // Returns an error object when the name cannot be used by this user
+  const reserve = (name, userId) => {
+    const invalid = validateUsername(name);
+    if (invalid) return invalid;
+
+    if (isTaken(name, userId)) {
+      return { code: 'USERNAME_TAKEN', message: 'Username is already taken' };
+    }
+
+    reserved.set(name.trim().toLowerCase(), userId);
+    return null;
+  };
+
+  const release = (name, userId) => {
+    const key = name.trim().toLowerCase();
+    if (reserved.get(key) === userId) {
+      reserved.delete(key);
+    }
+  };
+
+  return { isTaken, reserve, release };
+};
+
+module.exports = { validateUsername, createUsernameRegistry };
@@ -6,16 +6,38 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const multer = require('multer');
 
 // Load environment variables
 dotenv.config();
 
+const config = require('./config');
+const { createStore } = require('./models/store');
+const { createAccounts, toPublicAccount } = require('./models/accounts');
+const { validateUsername, createUsernameRegistry } = require('./models/usernames');
+const { createRooms, DEFAULT_ROOM } = require('./models/rooms');
+const { createSessions } = require('./models/sessions');
+const { createConversations, conversationId } = require('./models/conversations');
+const { createFiles, toPublicFile } = require('./models/files');
+const { createReadCursors } = require('./models/readCursors');
+const { createModeration } = require('./models/moderation');
+const { createMentions, parseMentions, mentionedIn } = require('./models/mentions');
+const { signToken, signFileToken, requireAuth, requireAuthOrFileToken, authenticateSocket } = require('./utils/auth');
+const { createId } = require('./utils/ids');
+const { createIdempotencyCache } = require('./utils/idempotency');
+const { createTypingTracker } = require('./utils/typing');
+const { createRateLimiter } = require('./utils/rateLimit');
+const { validatePayload } = require('./utils/validation');
+const { createMessagePipeline } = require('./utils/messagePipeline');
+const { createWordFilter, createLinkFilter } = require('./utils/contentFilter');
+const { createCommandRegistry } = require('./utils/commands');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: process.env.CLIENT_URL || 'http://localhost:5173',
+    origin: config.clientUrl,
     methods: ['GET', 'POST'],
     credentials: true,
   },
@@ -26,228 +48,1459 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Store connected users and messages
-const users = {};
-const messages = {};
-const typingUsers = {};
-const rooms = ['general', 'random', 'help'];
+// Message history lives in the configured store
+const store = createStore({
+  ...config.store,
+  retention: config.retention,
+});
+
+const accounts = createAccounts(store, { saltRounds: config.auth.saltRounds });
+const usernames = createUsernameRegistry(accounts);
+const rooms = createRooms(store);
+const sessions = createSessions(store);
+const conversations = createConversations(store);
+const files = createFiles(store, config.uploads);
+const readCursors = createReadCursors(store);
+const mentions = createMentions(store);
+const moderation = createModeration(store, { admins: config.admins, moderators: config.moderators });
+
+if (config.auth.secretIsGenerated) {
+  console.warn('JWT_SECRET is not set; session tokens will be invalid after a restart');
+}
+
+const rateLimiter = createRateLimiter(config.rateLimits);
+
+// Every message text, file caption and edit goes through these stages in
+// order before it is stored
+const messagePipeline = createMessagePipeline([
+  createWordFilter({ words: config.contentFilter.words, mode: config.contentFilter.wordMode }),
+  createLinkFilter({ blockedDomains: config.contentFilter.blockedDomains }),
+  // Last, so mentions are found in the text as stored
+  ({ text }, { room, user }) => {
+    const userIds = room ? resolveMentions(text, rooms.get(room), user.id) : [];
+    return userIds.length > 0 ? { annotations: { mentions: userIds } } : null;
+  },
+]);
+
+// Acks for recent sends, keyed by user and client message id, kept in the
+// store so retries are still recognised after a restart
+const sentMessages = createIdempotencyCache({ store });
+
+// Every socket also joins a per-user room so we can reach all of a user's tabs
+const userRoom = (id) => `user:${id}`;
+
+// How much say a user has in a room. Server roles outrank room roles, and
+// moderators can only act on users below them.
+const AUTHORITY = { none: 0, roomModerator: 1, owner: 2, moderator: 3, admin: 4 };
+
+const authorityIn = (room, account) => {
+  const serverRole = moderation.roleOf(account);
+  if (serverRole !== 'user') return AUTHORITY[serverRole];
+  if (!room) return AUTHORITY.none;
+  const roomRole = rooms.roleOf(room, account.id);
+  if (roomRole === 'owner') return AUTHORITY.owner;
+  return roomRole === 'moderator' ? AUTHORITY.roomModerator : AUTHORITY.none;
+};
+
+const canModerate = (room, account) => authorityIn(room, account) > AUTHORITY.none;
+
+// Checks that a moderator may act on a user, in a room or, without a room
+// id, across the whole server
+const findModerationTarget = (moderator, { roomId, userId: targetId }) => {
+  const target = accounts.findById(targetId);
+  if (!target) {
+    return { error: { code: 'USER_NOT_FOUND', message: 'User not found' } };
+  }
+  const room = roomId ? rooms.get(roomId) : null;
+  if (roomId && (!room || room.archived)) {
+    return { error: { code: 'ROOM_NOT_FOUND', message: 'Room not found' } };
+  }
+
+  const authority = authorityIn(room, moderator);
+  if (authority < (room ? AUTHORITY.roomModerator : AUTHORITY.moderator)) {
+    return { error: { code: 'FORBIDDEN', message: room ? `You cannot moderate #${room.name}` : 'Only server moderators can do that' } };
+  }
+  if (target.id === moderator.id || authority <= authorityIn(room, target)) {
+    return { error: { code: 'FORBIDDEN', message: `You cannot moderate ${target.username}` } };
+  }
+  return { room, target };
+};
+
+// The rooms a user can see, with their role in each. Ban and mute lists
+// only go to those who can moderate the room.
+const roomListFor = (account) => rooms.listFor(account.id).map(room => {
+  const { bans, mutes, ...visible } = room;
+  const moderator = canModerate(room, account);
+  return { ...(moderator ? room : visible), role: rooms.roleOf(room, account.id), canModerate: moderator };
+});
+
+// Push each client the rooms they are allowed to see
+const emitRoomList = () => {
+  io.sockets.sockets.forEach(client => {
+    client.emit('room_list', roomListFor(client.data.user));
+  });
+};
+
+// Moves a user's tabs out of a room they may no longer be in
+const removeFromRoom = (targetId, roomId, notice) => {
+  io.sockets.sockets.forEach(client => {
+    if (client.data.user.id !== targetId) return;
+    client.leave(roomId);
+    if (client.data.currentRoom === roomId) {
+      client.data.currentRoom = DEFAULT_ROOM;
+      client.join(DEFAULT_ROOM);
+    }
+  });
+  if (sessions.get(targetId)?.currentRoom === roomId) {
+    sessions.update(targetId, { currentRoom: DEFAULT_ROOM });
+  }
+  typing.stop(roomId, targetId);
+  io.to(userRoom(targetId)).emit('kicked', notice);
+};
+
+// Tells every tab of a user why, then closes them
+const disconnectUser = (targetId, event, notice) => {
+  io.to(userRoom(targetId)).emit(event, notice);
+  io.in(userRoom(targetId)).disconnectSockets(true);
+};
+
+// A server-wide mute silences the user everywhere, a room mute only there
+const muteError = (userId, room) => {
+  const mute = moderation.activeMute(userId) || (room && rooms.activeMute(room, userId));
+  if (!mute) return null;
+  return {
+    code: 'MUTED',
+    message: room && !moderation.activeMute(userId) ? `You are muted in #${room.name}` : 'You are muted',
+    expiresAt: mute.expiresAt,
+  };
+};
+
+const emitRoomInvites = (targetUserId) => {
+  io.to(userRoom(targetUserId)).emit('room_invites', rooms.invitesFor(targetUserId));
+};
+
+// Rooms hear about everyone typing in them. In a conversation both
+// participants are told, each keyed by the other person's id.
+const emitTyping = (channel, { userId, to }) => {
+  const users = typing.usersIn(channel);
+  if (to) {
+    io.to(userRoom(to)).emit('typing_users', { userId, users });
+    io.to(userRoom(userId)).emit('typing_users', { userId: to, users });
+  } else {
+    io.to(channel).emit('typing_users', { room: channel, users });
+  }
+};
+
+const typing = createTypingTracker({ ttl: config.typing.ttl, onChange: emitTyping });
+
+// Runs a change to a user's session, then tells everyone which parts of
+// their presence it changed
+const trackPresence = (userId, change) => {
+  const before = sessions.presenceOf(userId) || {};
+  const result = change();
+  const after = sessions.presenceOf(userId) || {};
+  const changed = Object.fromEntries(Object.entries(after).filter(([key, value]) => before[key] !== value));
+  if (Object.keys(changed).length > 0) {
+    io.emit('presence_update', { userId, ...changed });
+  }
+  return result;
+};
+
+// Current chat name for online users, account name for everyone else
+const displayName = (id) => sessions.get(id)?.username || accounts.findById(id)?.username || 'Unknown';
+
+// A file is visible to its uploader and to anyone who can read a room or
+// conversation it was posted in
+const canAccessFile = (file, userId) =>
+  file.uploadedBy.id === userId ||
+  file.sharedIn.some(channel => {
+    const conversation = conversations.get(channel);
+    return conversation
+      ? conversation.participants.includes(userId)
+      : rooms.canAccess(rooms.get(channel), userId);
+  });
+
+// Rooms and conversations a user can read
+const channelsFor = (userId) => [
+  ...rooms.listFor(userId).map(room => room.id),
+  ...conversations.listFor(userId).map(conversation => conversation.id),
+];
+
+// Unread and mention counts per channel. Messages from before the account
+// existed never count as unread.
+const unreadCountsFor = (userId, channels = channelsFor(userId)) => {
+  const after = accounts.findById(userId)?.createdAt;
+  return Object.fromEntries(channels.map(channel => {
+    const unread = readCursors.unreadMessages(userId, channel, { after });
+    return [channel, {
+      unread: unread.length,
+      mentions: unread.filter(msg => mentionedIn(msg).includes(userId)).length,
+    }];
+  }));
+};
+
+// Counts are pushed to every device the user has open
+const emitUnreadCounts = (userId, channels) => {
+  io.to(userRoom(userId)).emit('unread_counts', unreadCountsFor(userId, channels));
+};
+
+// A new message changes the counts of everyone online who can read it; the
+// sender has read their own message
+const updateUnreadForMessage = (channel, message) => {
+  readCursors.advance(message.userId, { [channel]: message.id });
+  const conversation = conversations.get(channel);
+  const recipients = conversation
+    ? conversation.participants
+    : sessions.list().map(session => session.userId).filter(id => rooms.canAccess(rooms.get(channel), id));
+  recipients
+    .filter(id => sessions.isOnline(id))
+    .forEach(id => emitUnreadCounts(id, [channel]));
+};
+
+// Where each reader of a channel is up to
+const readersOf = (channel) =>
+  readCursors.readersOf(channel).map(reader => ({ ...reader, username: displayName(reader.userId) }));
+
+// Read receipts only go to the people in the room or conversation
+const emitReadReceipt = (channel, readerId, messageId) => {
+  const receipt = { channel, userId: readerId, username: displayName(readerId), messageId };
+  const conversation = conversations.get(channel);
+  io.to(conversation ? conversation.participants.map(userRoom) : channel).emit('read_receipt', receipt);
+};
+
+// History is sent a page at a time
+const HISTORY_PAGE_SIZE = 50;
+
+// Replies are stored in their own channel so room history only holds top-level messages
+const threadChannel = (parentId) => `thread:${parentId}`;
+
+// What is left of a deleted or removed message
+const tombstone = (deletedBy, changes = {}) => ({
+  message: '',
+  file: null,
+  fileName: null,
+  fileType: null,
+  annotations: null,
+  edits: [],
+  reactions: {},
+  deleted: true,
+  deletedAt: new Date().toISOString(),
+  deletedBy,
+  ...changes,
+});
+
+// Recount a thread's replies after one is added, edited or deleted, so the
+// parent's reply count and preview never show a reply that is gone
+const refreshThreadSummary = (parentId) => {
+  const replies = store.getMessages(threadChannel(parentId)).messages.filter(message => !message.deleted);
+  const latest = replies[replies.length - 1];
+  const parent = store.updateMessage(parentId, {
+    replyCount: replies.length,
+    lastReply: latest ? {
+      id: latest.id,
+      sender: latest.sender,
+      userId: latest.userId,
+      message: latest.message,
+      timestamp: latest.timestamp,
+    } : null,
+  });
+  // Retention may already have pruned the parent, leaving only its replies
+  if (!parent) return;
+  io.to(parent.room).emit('thread_updated', {
+    parentId,
+    replyCount: parent.replyCount,
+    lastReply: parent.lastReply,
+  });
+};
+
+// Reply to an optional ack callback with the standard success/error shape
+const reply = (callback, error, data = {}) => {
+  if (!callback) return;
+  callback(error ? { success: false, error } : { success: true, ...data });
+};
+
+// The other way round: an ack's data, or { error }
+const fromAck = ({ success, error, ...data }) => (success ? data : { error });
+
+// Online users by their chat name, then anyone by their account name
+const findUserByName = (name) => {
+  const online = sessions.presenceList()
+    .find(user => user.status !== 'offline' && user.username.toLowerCase() === name.toLowerCase());
+  if (online) return { id: online.userId, username: online.username };
+
+  const account = accounts.findByUsername(name);
+  return account ? { id: account.id, username: account.username } : null;
+};
+
+// The users a message reaches with @name, @here and @room, leaving out its
+// sender. @room is everyone who can read the room, @here those of them online.
+const resolveMentions = (text, room, senderId) => {
+  const { names, here, room: everyone } = parseMentions(text);
+  const readers = here || everyone
+    ? accounts.list().map(account => account.id).filter(id => rooms.canAccess(room, id))
+    : [];
+  const userIds = new Set([
+    ...names.map(findUserByName).filter(user => user && rooms.canAccess(room, user.id)).map(user => user.id),
+    ...(everyone ? readers : readers.filter(id => sessions.isOnline(id))),
+  ]);
+  userIds.delete(senderId);
+  return [...userIds];
+};
+
+// Mentioned users hear about it on every device, whichever room they are in
+const emitMentions = (message, userIds = mentionedIn(message)) => {
+  if (userIds.length === 0) return;
+  mentions.add(userIds, message.id);
+  userIds.forEach(id => io.to(userRoom(id)).emit('mention', message));
+};
+
+// Slash commands, caught in send_message. They run with the caller's
+// { userId, account, user, room, socket, dispatch }, where dispatch runs
+// another event's handler on the caller's behalf and returns its ack.
+const commands = createCommandRegistry();
+
+commands.register({
+  name: 'help',
+  description: 'List the commands you can use',
+  run: (args, context) => ({
+    reply: commands.list(context).map(command => `${command.usage} - ${command.description}`).join('\n'),
+  }),
+});
+
+commands.register({
+  name: 'me',
+  description: 'Say what you are doing, as in "* alice waves"',
+  args: [{ name: 'action', description: 'What you are doing', rest: true }],
+  run: ({ action }) => ({ message: { text: action, action: true } }),
+});
+
+commands.register({
+  name: 'shrug',
+  description: 'Add ¯\\_(ツ)_/¯ to a message',
+  args: [{ name: 'message', description: 'Text before the shrug', optional: true, rest: true }],
+  run: ({ message }) => ({ message: { text: `${message} ¯\\_(ツ)_/¯`.trim() } }),
+});
+
+commands.register({
+  name: 'join',
+  description: 'Switch to another room',
+  args: [{ name: 'room', description: 'Room name, with or without #' }],
+  // Room ids are fixed when a room is created, so the typed name is matched
+  // against the names of the rooms the user can see
+  run: ({ room }, { userId, dispatch }) => {
+    const name = room.replace(/^#/, '').toLowerCase();
+    const target = rooms.listFor(userId).find(candidate => candidate.name.toLowerCase() === name);
+    if (!target) {
+      return { error: { code: 'ROOM_NOT_FOUND', message: `There is no room called #${name}` } };
+    }
+    return fromAck(dispatch('join_room', target.id));
+  },
+});
+
+commands.register({
+  name: 'topic',
+  description: "Set the room's topic",
+  args: [{ name: 'topic', description: 'The new topic, or nothing to clear it', optional: true, rest: true }],
+  permission: ({ room, account }) => Boolean(room) && rooms.canManage(room, account),
+  run: ({ topic }, { room, dispatch }) => {
+    const { error } = fromAck(dispatch('update_room', { roomId: room.id, topic }));
+    return error ? { error } : { reply: topic ? `Topic set to: ${topic}` : 'Topic cleared' };
+  },
+});
+
+commands.register({
+  name: 'msg',
+  description: 'Send someone a private message',
+  args: [
+    { name: 'user', description: 'Who to message' },
+    { name: 'message', description: 'What to say', rest: true },
+  ],
+  run: ({ user, message }, { socket, dispatch }) => {
+    const recipient = findUserByName(user.replace(/^@/, ''));
+    if (!recipient) {
+      return { error: { code: 'USER_NOT_FOUND', message: `There is no user called ${user}` } };
+    }
+    const { messageId, error } = fromAck(dispatch('private_message', { to: recipient.id, message }));
+    if (error) return { error };
+
+    // The handler only copies it to the caller's other tabs
+    socket.emit('private_message', store.findMessage(messageId));
+    return { messageId };
+  },
+});
+
+commands.register({
+  name: 'nick',
+  description: 'Change the name you chat under',
+  args: [{ name: 'name', description: 'Your new chat name' }],
+  run: ({ name }, { userId, user }) => {
+    if (name === user.username) {
+      return { reply: `You are already ${name}` };
+    }
+    const error = usernames.reserve(name, userId);
+    if (error) return { error };
+
+    trackPresence(userId, () => {
+      // The reservation is case-insensitive, so keep it for a change of case
+      if (name.toLowerCase() !== user.username.toLowerCase()) {
+        usernames.release(user.username, userId);
+      }
+      sessions.update(userId, { username: name });
+    });
+    return { user: { id: userId, username: name }, reply: `You are now known as ${name}` };
+  },
+});
 
-// Initialize messages for each room
-rooms.forEach(room => {
-  messages[room] = [];
+// Only sockets with a valid session token may connect, and banned users
+// are turned away
+io.use(authenticateSocket);
+io.use((socket, next) => {
+  const ban = moderation.activeBan(socket.data.user.id);
+  if (!ban) return next();
+  const err = new Error('Banned');
+  err.data = { reason: ban.reason, expiresAt: ban.expiresAt };
+  next(err);
 });
 
 // Socket.io connection handler
 io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
+  // Verified identity attached by the handshake middleware
+  const { id: userId } = socket.data.user;
+  console.log(`User connected: ${socket.id} (${socket.data.user.username})`);
+  socket.join(userRoom(userId));
 
-  // Handle user joining
-  socket.on('user_join', (username) => {
-    users[socket.id] = { username, id: socket.id, currentRoom: 'general' };
-    socket.join('general');
-    io.emit('user_list', Object.values(users));
-    io.emit('user_joined', { username, id: socket.id });
-    console.log(`${username} joined the chat`);
+  // The chat name belongs to the user's session, so every tab shares it.
+  // Until user_join it is the account name.
+  const currentUser = () => ({
+    id: userId,
+    username: sessions.get(userId)?.username || socket.data.user.username,
+  });
+
+  // Events over their rate limit never reach a handler. The client hears
+  // about it through the ack, if there is one, and a rate_limited event.
+  socket.use(([event, ...args], next) => {
+    const limited = rateLimiter.check(event, { socketId: socket.id, userId });
+    if (!limited) return next();
+
+    const callback = args[args.length - 1];
+    socket.emit('rate_limited', { event, ...limited.error });
+    if (typeof callback === 'function') reply(callback, limited.error);
+    if (limited.disconnect) {
+      console.log(`Disconnecting ${currentUser().username} for flooding`);
+      socket.disconnect(true);
+    }
   });
 
+  // Wraps a handler so it only sees payloads matching the event's schema,
+  // for socket.on('event', guard('event', handler)). Handlers always get a
+  // callback; when the client did not pass one, errors are sent back as an
+  // event_error event instead of being lost.
+  const handlers = new Map();
+  const guard = (event, handler) => {
+    const run = (payload, callback) => {
+      const error = validatePayload(event, payload);
+      if (error) {
+        return reply(callback, error);
+      }
+      handler(payload, callback);
+    };
+    handlers.set(event, run);
+    
+    return (...args) => {
+      const callback = typeof args[args.length - 1] === 'function'
+        ? args.pop()
+        : (ack) => {
+          if (!ack.success) socket.emit('event_error', { event, error: ack.error });
+        };
+      run(args[0], callback);
+    };
+  };
+
+  // Runs a handler as if this socket had sent the event. Handlers reply
+  // synchronously, so the ack is ready on return.
+  const dispatch = (event, payload) => {
+    let ack = null;
+    handlers.get(event)(payload, (result) => {
+      ack = result;
+    });
+    return ack;
+  };
+
+  const commandContext = (room) => ({
+    userId,
+    account: socket.data.user,
+    user: currentUser(),
+    room,
+    socket,
+    dispatch,
+  });
+
+  // Client message ids make sends idempotent: a retry gets the original ack
+  const idempotencyKey = (clientMessageId) =>
+    (typeof clientMessageId === 'string' || typeof clientMessageId === 'number') &&
+    String(clientMessageId).length <= 100
+      ? `${userId}:${clientMessageId}`
+      : null;
+
+  // Returns true (after replying) when this send was already handled
+  const replayAck = (clientMessageId, callback) => {
+    const key = idempotencyKey(clientMessageId);
+    const previousAck = key && sentMessages.get(key);
+    if (!previousAck) return false;
+    if (callback) callback(previousAck);
+    return true;
+  };
+
+  const acknowledgeSend = (clientMessageId, callback, ack) => {
+    const key = idempotencyKey(clientMessageId);
+    if (key) sentMessages.set(key, ack);
+    if (callback) callback(ack);
+  };
+
+  // Handle user joining
+  // The name is optional: user_join(callback) joins with the account name
+  socket.on('user_join', guard('user_join', (requestedName, callback) => {
+    const previousName = currentUser().username;
+    const name = requestedName && requestedName.trim() ? requestedName.trim() : previousName;
+    
+    const ban = moderation.activeBan(userId);
+    if (ban) {
+      return reply(callback, { code: 'BANNED', message: 'You are banned from this server', expiresAt: ban.expiresAt });
+    }
+
+    const error = usernames.reserve(name, userId);
+    if (error) {
+      return reply(callback, error);
+    }
+
+    // Another tab may already be online; this socket joins its session
+    const { session, isFirst } = trackPresence(userId, () => {
+      const attached = sessions.attach(userId, socket.id, { username: name, defaultRoom: DEFAULT_ROOM });
+      if (attached.session.username !== name) {
+        usernames.release(attached.session.username, userId);
+        sessions.update(userId, { username: name });
+      }
+      return attached;
+    });
+
+    // Put the socket back in the room the user was last in, if they still can
+    const room = rooms.canAccess(rooms.get(session.currentRoom), userId) ? session.currentRoom : DEFAULT_ROOM;
+    if (socket.data.currentRoom && socket.data.currentRoom !== room) {
+      socket.leave(socket.data.currentRoom);
+    }
+    socket.data.currentRoom = room;
+    sessions.update(userId, { currentRoom: room });
+    socket.join(room);
+    socket.emit('room_list', roomListFor(socket.data.user));
+    socket.emit('room_invites', rooms.invitesFor(userId));
+    socket.emit('unread_counts', unreadCountsFor(userId));
+    // Everyone's presence once; after that only presence_update changes
+    socket.emit('user_list', sessions.presenceList());
+
+    // History is fetched with load_messages, so a reconnecting client only
+    // asks for what it missed
+    reply(callback, null, {
+      user: { id: userId, username: name, role: moderation.roleOf(socket.data.user) },
+      currentRoom: room,
+      readers: readersOf(room),
+    });
+
+    // Other users only hear about the user's first connection
+    if (isFirst) {
+      // Hand over direct messages sent while the user was offline
+      conversations.takePendingDeliveries(userId).forEach(message => socket.emit('private_message', message));
+      io.emit('user_joined', { username: name, userId, id: userId });
+      console.log(`${name} joined the chat`);
+    }
+  }));
+
+  // A status picked by the user: online, away or busy, with an optional message
+  socket.on('set_status', guard('set_status', ({ status, statusMessage }, callback) => {
+    const { presence, error } = trackPresence(userId, () => sessions.setStatus(userId, { status, statusMessage }));
+    reply(callback, error, { presence });
+  }));
+
+  // The client reports when this tab goes idle or is used again
+  socket.on('set_idle', guard('set_idle', ({ idle }) => {
+    trackPresence(userId, () => sessions.setIdle(userId, socket.id, idle));
+  }));
+
   // Handle chat messages
-  socket.on('send_message', (messageData, callback) => {
-    const room = messageData.room || 'general';
-    const messageId = Date.now();
+  socket.on('send_message', guard('send_message', ({ message: input, room = DEFAULT_ROOM, parentId, messageId: clientMessageId }, callback) => {
+    if (replayAck(clientMessageId, callback)) return;
+    
+    const { room: target, error } = rooms.findAccessible(room, userId);
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    // A slash command either finishes here or becomes the message to send
+    let text = commands.unescape(input.trim());
+    let command = null;
+    let action = false;
+    if (commands.isCommand(input.trim())) {
+      const { command: name, error: commandError, reply: notice, message: posted, ...data } =
+        commands.execute(input.trim(), commandContext(target));
+      if (commandError) {
+        return reply(callback, commandError);
+      }
+      if (notice) {
+        socket.emit('command_reply', { command: name, text: notice });
+      }
+      if (!posted) {
+        return acknowledgeSend(clientMessageId, callback, { success: true, command: name, ...data });
+      }
+      command = name;
+      text = posted.text;
+      action = Boolean(posted.action);
+    }
+    
+    const muted = muteError(userId, target);
+    if (muted) {
+      return reply(callback, muted);
+    }
+    if (!text.trim()) {
+      return reply(callback, { code: 'EMPTY_MESSAGE', message: 'Message cannot be empty' });
+    }
+    
+    // Replies must point at a top-level message in the same room
+    const parent = parentId ? store.findMessage(parentId) : null;
+    if (parentId && (!parent || parent.room !== room || parent.parentId)) {
+      return reply(callback, { code: 'INVALID_THREAD', message: 'Cannot reply to that message' });
+    }
+    
+    const processed = messagePipeline.run(text, { kind: 'message', user: currentUser(), room, to: null });
+    if (processed.error) {
+      return reply(callback, processed.error);
+    }
+    
+    const messageId = createId();
+    // Built field by field so clients cannot set the sender or other
+    // server-owned fields
     const message = {
-      ...messageData,
       id: messageId,
-      sender: users[socket.id]?.username || 'Anonymous',
+      message: processed.text,
+      annotations: processed.annotations,
+      ...(action && { action: true }),
+      sender: currentUser().username,
       senderId: socket.id,
+      userId,
       timestamp: new Date().toISOString(),
       room,
+      parentId: parent ? parent.id : null,
       reactions: {},
-      readBy: []
     };
     
-    messages[room].push(message);
+    store.addMessage(parent ? threadChannel(parent.id) : room, message);
+    typing.stop(room, userId);
+    
+    // Send acknowledgment to sender
+    // The text may have been rewritten on the way; the sender shows what was stored
+    acknowledgeSend(clientMessageId, callback, { success: true, messageId, text: message.message, ...(command && { command }) });
+    
+    // Broadcast to other users in room. The sender has no local copy of a
+    // message made by a command, so it gets one too.
+    (command ? io.to(room) : socket.to(room)).emit('receive_message', message);
+    emitMentions(message);
     
-    // Limit stored messages to prevent memory issues
-    if (messages[room].length > 100) {
-      messages[room].shift();
+    if (!parent) {
+      updateUnreadForMessage(room, message);
     }
     
-    // Send acknowledgment to sender
-    if (callback) {
-      callback({ success: true, messageId });
+    if (parent) {
+      refreshThreadSummary(parent.id);
+    }
+  }));
+
+  // Autocomplete metadata for the commands the user may run in a room
+  socket.on('list_commands', guard('list_commands', ({ room = DEFAULT_ROOM }, callback) => {
+    const { room: target } = rooms.findAccessible(room, userId);
+    reply(callback, null, { commands: commands.list(commandContext(target || null)) });
+  }));
+
+  // Recent messages mentioning the user, across every room they can read
+  socket.on('load_mentions', guard('load_mentions', ({ limit = 50 }, callback) => {
+    const recent = mentions.recentFor(userId)
+      .filter(message => rooms.canAccess(rooms.get(message.room), userId))
+      .slice(0, limit);
+    reply(callback, null, { mentions: recent });
+  }));
+
+  // Handle thread loading
+  // Replies come newest page first; `before` pages back from a reply id
+  socket.on('load_thread', guard('load_thread', ({ parentId, limit = 50, offset = 0, before }, callback) => {
+    const parent = store.findMessage(parentId);
+    if (!parent || parent.parentId || !rooms.canAccess(rooms.get(parent.room), userId)) {
+      return reply(callback, { code: 'MESSAGE_NOT_FOUND', message: 'Thread not found' });
     }
     
-    // Broadcast to other users in room
-    socket.to(room).emit('receive_message', message);
-  });
+    const { messages, hasMore } = store.getMessages(threadChannel(parent.id), { limit, offset, before });
+    reply(callback, null, { parent, messages, hasMore });
+  }));
 
-  // Handle typing indicator
-  socket.on('typing', (data) => {
-    if (users[socket.id]) {
-      const username = users[socket.id].username;
-      const room = data.room || 'general';
-      
-      if (data.isTyping) {
-        typingUsers[socket.id] = { username, room };
-      } else {
-        delete typingUsers[socket.id];
-      }
-      
-      const roomTypingUsers = Object.values(typingUsers)
-        .filter(user => user.room === room)
-        .map(user => user.username);
-      
-      socket.to(room).emit('typing_users', { users: roomTypingUsers, room });
+  // Handle typing indicator, either in the current room or towards another
+  // user with `to`. Clients repeat it while typing; it expires otherwise.
+  socket.on('typing', guard('typing', ({ room, to, isTyping }) => {
+    let channel = room || DEFAULT_ROOM;
+    if (to) {
+      if (to === userId || !accounts.findById(to)) return;
+      channel = conversationId(userId, to);
+    } else if (channel !== socket.data.currentRoom) {
+      return;
     }
-  });
+    
+    if (isTyping) {
+      typing.start(channel, { userId, username: currentUser().username, socketId: socket.id, to: to || null });
+    } else {
+      typing.stop(channel, userId);
+    }
+  }));
 
-  // Handle private messages
-  socket.on('private_message', ({ to, message, messageId }, callback) => {
-    const finalMessageId = Date.now();
-    const messageData = {
-      id: finalMessageId,
-      sender: users[socket.id]?.username || 'Anonymous',
+  // Handle private messages, addressed to a user id so they reach every tab.
+  // They are stored in the pair's conversation; offline recipients get them
+  // when they next join. An uploaded file can be attached with `fileId`.
+  socket.on('private_message', guard('private_message', ({ to, message, messageId, fileId }, callback) => {
+    if (replayAck(messageId, callback)) return;
+    if (!accounts.findById(to) || to === userId) {
+      return reply(callback, { code: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+    const muted = muteError(userId, null);
+    if (muted) {
+      return reply(callback, muted);
+    }
+    
+    const file = fileId ? files.get(fileId) : null;
+    if (fileId && (!file || file.uploadedBy.id !== userId)) {
+      return reply(callback, { code: 'FILE_NOT_FOUND', message: 'Upload the file before sharing it' });
+    }
+    const text = message ? message.trim() : '';
+    if (!text && !file) {
+      return reply(callback, { code: 'EMPTY_MESSAGE', message: 'Message cannot be empty' });
+    }
+    const processed = messagePipeline.run(text, { kind: 'private', user: currentUser(), room: null, to });
+    if (processed.error) {
+      return reply(callback, processed.error);
+    }
+    
+    const recipientOnline = sessions.isOnline(to);
+    const timestamp = new Date().toISOString();
+    const messageData = conversations.addMessage(userId, to, {
+      id: createId(),
+      sender: currentUser().username,
       senderId: socket.id,
-      message,
-      timestamp: new Date().toISOString(),
+      userId,
+      message: processed.text,
+      annotations: processed.annotations,
+      ...(file && {
+        isFile: true,
+        file: toPublicFile(file),
+        fileName: file.name,
+        fileType: file.type,
+      }),
+      timestamp,
       isPrivate: true,
       to,
-    };
+      deliveredAt: recipientOnline ? timestamp : null,
+    });
+    // Only the two participants can download it
+    if (file) {
+      files.share(file, messageData.conversationId);
+    }
+    if (!recipientOnline) {
+      conversations.queueDelivery(to, messageData.id);
+    }
+    typing.stop(messageData.conversationId, userId);
     
     // Send acknowledgment to sender
-    if (callback) {
-      callback({ success: true, messageId: finalMessageId });
+    acknowledgeSend(messageId, callback, { success: true, messageId: messageData.id, text: messageData.message });
+    
+    // Send to the recipient and to the sender's other tabs
+    socket.to(userRoom(to)).to(userRoom(userId)).emit('private_message', messageData);
+    updateUnreadForMessage(messageData.conversationId, messageData);
+  }));
+
+  // Handle direct message history with another user
+  socket.on('load_conversation', guard('load_conversation', ({ userId: otherUserId, limit = 20, before, since }, callback) => {
+    if (!accounts.findById(otherUserId) || otherUserId === userId) {
+      return reply(callback, { code: 'USER_NOT_FOUND', message: 'User not found' });
     }
     
-    // Send to recipient
-    socket.to(to).emit('private_message', messageData);
-  });
+    const { messages, hasMore } = conversations.getMessages(userId, otherUserId, { limit, before, since });
+    const conversation = conversations.between(userId, otherUserId);
+    reply(callback, null, {
+      user: { id: otherUserId, username: displayName(otherUserId) },
+      conversationId: conversation ? conversation.id : null,
+      messages,
+      hasMore,
+      readers: conversation ? readersOf(conversation.id) : [],
+    });
+  }));
 
   // Handle room joining
-  socket.on('join_room', (roomName) => {
-    if (users[socket.id]) {
-      const previousRoom = users[socket.id].currentRoom;
-      socket.leave(previousRoom);
+  socket.on('join_room', guard('join_room', (roomName, callback) => {
+    const { room, error } = rooms.findAccessible(roomName, userId);
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    const { messages, hasMore } = store.getMessages(roomName, { limit: HISTORY_PAGE_SIZE });
+    if (socket.data.currentRoom) {
+      typing.stopSocket(socket.id);
+      socket.leave(socket.data.currentRoom);
       socket.join(roomName);
-      users[socket.id].currentRoom = roomName;
+      socket.data.currentRoom = roomName;
+      // Remembered so the next reconnect or new tab opens here
+      sessions.update(userId, { currentRoom: roomName });
       
-      // Send room messages to the user
-      socket.emit('room_messages', messages[roomName] || []);
+      // Send the latest page of room messages to the user
+      socket.emit('room_messages', messages);
       
-      console.log(`${users[socket.id].username} joined room: ${roomName}`);
+      console.log(`${currentUser().username} joined room: ${roomName}`);
     }
-  });
+    
+    reply(callback, null, { room, hasMore, readers: readersOf(roomName) });
+  }));
+
+  // Handle room management
+  socket.on('create_room', guard('create_room', (roomData, callback) => {
+    const { room, error } = rooms.create(roomData, currentUser());
+    // Send the new list first so the creator already knows the room when the ack arrives
+    if (room) {
+      emitRoomList();
+      console.log(`${currentUser().username} created room: ${room.name}`);
+    }
+    reply(callback, error, { room });
+  }));
+
+  socket.on('update_room', guard('update_room', ({ roomId, ...changes }, callback) => {
+    const { room, error } = rooms.update(roomId, changes, currentUser());
+    reply(callback, error, { room });
+    if (room) emitRoomList();
+  }));
+
+  socket.on('archive_room', guard('archive_room', ({ roomId }, callback) => {
+    const { room, error } = rooms.archive(roomId, currentUser());
+    reply(callback, error, { room });
+    if (room) {
+      emitRoomList();
+      console.log(`${currentUser().username} archived room: ${room.name}`);
+    }
+  }));
+
+  // Handle private room membership
+  socket.on('invite_to_room', guard('invite_to_room', ({ roomId, userId: inviteeId }, callback) => {
+    if (!accounts.findById(inviteeId)) {
+      return reply(callback, { code: 'USER_NOT_FOUND', message: 'User not found' });
+    }
+    
+    const { room, error } = rooms.invite(roomId, inviteeId, currentUser());
+    reply(callback, error, { room });
+    if (room) {
+      emitRoomInvites(inviteeId);
+      emitRoomList();
+    }
+  }));
+
+  socket.on('accept_invite', guard('accept_invite', ({ roomId }, callback) => {
+    const { room, error } = rooms.acceptInvite(roomId, userId);
+    if (room) {
+      emitRoomList();
+      emitRoomInvites(userId);
+    }
+    reply(callback, error, { room });
+  }));
+
+  socket.on('decline_invite', guard('decline_invite', ({ roomId }, callback) => {
+    const { room, error } = rooms.declineInvite(roomId, userId);
+    reply(callback, error);
+    if (room) {
+      emitRoomList();
+      emitRoomInvites(userId);
+    }
+  }));
+
+  socket.on('leave_room', guard('leave_room', ({ roomId }, callback) => {
+    const { room, error } = rooms.leave(roomId, userId);
+    reply(callback, error);
+    if (room) {
+      io.in(userRoom(userId)).socketsLeave(roomId);
+      emitRoomList();
+      console.log(`${currentUser().username} left room: ${room.name}`);
+    }
+  }));
 
-  // Handle file sharing
-  socket.on('send_file', (fileData) => {
-    const room = fileData.room || 'general';
+  socket.on('get_room_members', guard('get_room_members', ({ roomId }, callback) => {
+    const { room, error } = rooms.findAccessible(roomId, userId);
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    // Private rooms list their members, public rooms whoever has a tab open in them
+    const memberIds = room.visibility === 'private'
+      ? room.members
+      : [...new Set([...io.sockets.sockets.values()]
+        .filter(client => client.data.currentRoom === roomId)
+        .map(client => client.data.user.id))];
+    
+    const members = memberIds.map(id => ({
+      id,
+      username: displayName(id),
+      online: sessions.isOnline(id),
+      role: rooms.roleOf(room, id),
+    }));
+    reply(callback, null, { members });
+  }));
+
+  // Handle file sharing. The file is uploaded over HTTP first; the message
+  // only references it by id.
+  socket.on('send_file', guard('send_file', ({ fileId, room = DEFAULT_ROOM, caption, messageId }, callback) => {
+    if (replayAck(messageId, callback)) return;
+    
+    const { room: target, error } = rooms.findAccessible(room, userId);
+    if (error) {
+      return reply(callback, error);
+    }
+    const muted = muteError(userId, target);
+    if (muted) {
+      return reply(callback, muted);
+    }
+    
+    const file = files.get(fileId);
+    if (!file || file.uploadedBy.id !== userId) {
+      return reply(callback, { code: 'FILE_NOT_FOUND', message: 'Upload the file before sharing it' });
+    }
+    const processed = messagePipeline.run(caption ? caption.trim() : '', { kind: 'file', user: currentUser(), room, to: null });
+    if (processed.error) {
+      return reply(callback, processed.error);
+    }
+    files.share(file, room);
+    
     const messageData = {
-      id: Date.now(),
-      sender: users[socket.id]?.username || 'Anonymous',
+      id: createId(),
+      sender: currentUser().username,
       senderId: socket.id,
-      file: fileData.file,
-      fileName: fileData.fileName,
-      fileType: fileData.fileType,
+      userId,
+      file: toPublicFile(file),
+      fileName: file.name,
+      fileType: file.type,
+      message: processed.text,
+      annotations: processed.annotations,
       timestamp: new Date().toISOString(),
       room,
       isFile: true,
     };
     
-    messages[room].push(messageData);
-    
-    if (messages[room].length > 100) {
-      messages[room].shift();
-    }
+    store.addMessage(room, messageData);
+    acknowledgeSend(messageId, callback, { success: true, messageId: messageData.id });
     
     socket.to(room).emit('receive_file', messageData);
     socket.emit('receive_file', messageData);
-  });
+    emitMentions(messageData);
+    updateUnreadForMessage(room, messageData);
+  }));
 
-  // Handle message reactions
-  socket.on('add_reaction', ({ messageId, reaction }) => {
-    const user = users[socket.id];
-    if (!user) return;
-    
-    // Find message in all rooms
-    for (const room in messages) {
-      const messageIndex = messages[room].findIndex(msg => msg.id === messageId);
-      if (messageIndex !== -1) {
-        const message = messages[room][messageIndex];
-        if (!message.reactions) message.reactions = {};
-        if (!message.reactions[reaction]) message.reactions[reaction] = 0;
-        message.reactions[reaction]++;
-        
-        io.emit('reaction_added', { messageId, reaction, count: message.reactions[reaction] });
-        break;
-      }
+  // Handle message reactions. Each emoji keeps the ids of the users who
+  // reacted with it; reacting again with the same emoji takes it back.
+  socket.on('add_reaction', guard('add_reaction', ({ messageId, reaction }, callback) => {
+    const message = store.findMessage(messageId);
+    if (!message || message.deleted || !rooms.canAccess(rooms.get(message.room), userId)) {
+      return reply(callback, { code: 'MESSAGE_NOT_FOUND', message: 'Message not found' });
     }
-  });
+    if (!reaction.trim()) {
+      return reply(callback, { code: 'INVALID_REACTION', message: 'Invalid reaction' });
+    }
+    
+    // Counts from before reactions were per user cannot be attributed, so they start over
+    const current = message.reactions || {};
+    const reactors = Array.isArray(current[reaction]) ? current[reaction] : [];
+    const removed = reactors.includes(userId);
+    const users = removed ? reactors.filter(id => id !== userId) : [...reactors, userId];
+    
+    const reactions = { ...current, [reaction]: users };
+    if (users.length === 0) {
+      delete reactions[reaction];
+    }
+    store.updateMessage(messageId, { reactions });
+    
+    reply(callback, null, { reactions, removed });
+    io.to(message.room).emit(removed ? 'reaction_removed' : 'reaction_added', {
+      messageId,
+      reaction,
+      userId,
+      username: currentUser().username,
+      users,
+    });
+  }));
+
+  // A message can mark a channel read if it is a top-level message there
+  // and the user can read the channel
+  const canMarkRead = (channel, message) => {
+    const conversation = conversations.get(channel);
+    if (conversation) {
+      return conversation.participants.includes(userId) && message.conversationId === channel;
+    }
+    return message.room === channel && !message.parentId && rooms.canAccess(rooms.get(channel), userId);
+  };
 
-  // Handle read receipts
-  socket.on('mark_read', ({ messageId }) => {
-    const user = users[socket.id];
-    if (!user) return;
-    
-    // Find message in all rooms
-    for (const room in messages) {
-      const messageIndex = messages[room].findIndex(msg => msg.id === messageId);
-      if (messageIndex !== -1) {
-        const message = messages[room][messageIndex];
-        if (!message.readBy) message.readBy = [];
-        if (!message.readBy.includes(user.username)) {
-          message.readBy.push(user.username);
-          io.emit('message_read', { messageId, userId: user.username });
-        }
-        break;
+  // Handle read cursors. Clients batch them as { cursors: { [channel]: messageId } }.
+  socket.on('mark_read', guard('mark_read', ({ cursors }, callback) => {
+    const valid = {};
+    Object.entries(cursors).forEach(([channel, messageId]) => {
+      const message = store.findMessage(messageId);
+      if (message && canMarkRead(channel, message)) {
+        valid[channel] = message.id;
       }
+    });
+    
+    const changed = readCursors.advance(userId, valid);
+    reply(callback, null, { cursors: changed });
+    
+    const channels = Object.keys(changed);
+    if (channels.length > 0) {
+      emitUnreadCounts(userId, channels);
+      channels.forEach(channel => emitReadReceipt(channel, userId, changed[channel]));
     }
-  });
+  }));
 
-  // Handle message pagination
-  socket.on('load_messages', ({ room, limit = 20, offset = 0 }, callback) => {
-    const roomMessages = messages[room] || [];
-    const startIndex = Math.max(0, roomMessages.length - limit - offset);
-    const endIndex = roomMessages.length - offset;
-    const requestedMessages = roomMessages.slice(startIndex, endIndex);
-    
-    callback({
-      success: true,
-      messages: requestedMessages,
-      hasMore: startIndex > 0
+  // Look up a room message the user may change. Only senders edit or delete
+  // their messages; moderators use remove_message.
+  const findEditableMessage = (messageId) => {
+    const message = store.findMessage(messageId);
+    const room = message && rooms.get(message.room);
+    if (!message || !rooms.canAccess(room, userId)) {
+      return { error: { code: 'MESSAGE_NOT_FOUND', message: 'Message not found' } };
+    }
+    if (message.deleted) {
+      return { error: { code: 'MESSAGE_DELETED', message: 'This message has been deleted' } };
+    }
+    if (message.userId !== userId) {
+      return { error: { code: 'FORBIDDEN', message: 'You can only change your own messages' } };
+    }
+    return { message, room };
+  };
+
+  // Handle message edits, keeping earlier versions
+  socket.on('edit_message', guard('edit_message', ({ messageId, message: text }, callback) => {
+    const { message, room, error } = findEditableMessage(messageId);
+    if (error) {
+      return reply(callback, error);
+    }
+    const muted = muteError(userId, room);
+    if (muted) {
+      return reply(callback, muted);
+    }
+    if (message.isFile) {
+      return reply(callback, { code: 'NOT_EDITABLE', message: 'File messages cannot be edited' });
+    }
+    if (!text.trim()) {
+      return reply(callback, { code: 'EMPTY_MESSAGE', message: 'Message cannot be empty' });
+    }
+    const processed = messagePipeline.run(text.trim(), { kind: 'edit', user: currentUser(), room: room.id, to: null });
+    if (processed.error) {
+      return reply(callback, processed.error);
+    }
+    
+    const previouslyMentioned = mentionedIn(message);
+    const editedAt = new Date().toISOString();
+    // Each entry is a previous version and when it was written
+    const edits = [
+      ...(message.edits || []),
+      { message: message.message, timestamp: message.editedAt || message.timestamp },
+    ];
+    const updated = store.updateMessage(messageId, {
+      message: processed.text,
+      annotations: processed.annotations,
+      edits,
+      editedAt,
+      editedBy: currentUser(),
     });
-  });
+    
+    reply(callback, null, { message: updated });
+    io.to(updated.room).emit('message_edited', updated);
+    if (updated.parentId) refreshThreadSummary(updated.parentId);
+    // Only people the edit newly mentions are told
+    emitMentions(updated, mentionedIn(updated).filter(id => !previouslyMentioned.includes(id)));
+  }));
+
+  // Handle message deletion, leaving a tombstone in place of the content
+  socket.on('delete_message', guard('delete_message', ({ messageId }, callback) => {
+    const { message, error } = findEditableMessage(messageId);
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    const updated = store.updateMessage(messageId, tombstone(currentUser()));
+    
+    reply(callback, null, { message: updated });
+    io.to(updated.room).emit('message_deleted', updated);
+    if (updated.parentId) refreshThreadSummary(updated.parentId);
+    console.log(`${currentUser().username} deleted message ${message.id} in ${message.room}`);
+  }));
+
+  // Moderation. Each action works in a room, or server-wide when no
+  // roomId is given, and only on users the moderator outranks.
+  socket.on('kick_user', guard('kick_user', ({ roomId, userId: targetId, reason }, callback) => {
+    const { room, target, error } = findModerationTarget(socket.data.user, { roomId, userId: targetId });
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    const notice = { room: room ? room.id : null, reason: (reason ?? '').trim(), by: currentUser() };
+    // Everyone can always go back to the default room, so leaving it means leaving the chat
+    if (!room || room.id === DEFAULT_ROOM) {
+      disconnectUser(target.id, 'kicked', notice);
+    } else {
+      if (room.visibility === 'private') rooms.leave(room.id, target.id);
+      removeFromRoom(target.id, room.id, notice);
+      emitRoomList();
+    }
+    reply(callback);
+    console.log(`${currentUser().username} kicked ${target.username}${room ? ` from ${room.id}` : ''}`);
+  }));
+
+  socket.on('ban_user', guard('ban_user', ({ roomId, userId: targetId, reason, duration }, callback) => {
+    const { room, target, error } = findModerationTarget(socket.data.user, { roomId, userId: targetId });
+    if (error) {
+      return reply(callback, error);
+    }
+    if (room && room.id === DEFAULT_ROOM) {
+      return reply(callback, { code: 'FORBIDDEN', message: `Use a server-wide ban to keep someone out of #${DEFAULT_ROOM}` });
+    }
+    
+    const options = { by: currentUser(), reason, duration };
+    if (room) {
+      const ban = rooms.activeBan(rooms.ban(room, target.id, options), target.id);
+      removeFromRoom(target.id, room.id, { room: room.id, reason: ban.reason, by: ban.by, banned: true, expiresAt: ban.expiresAt });
+      emitRoomList();
+    } else {
+      const ban = moderation.ban(target.id, options);
+      disconnectUser(target.id, 'banned', { room: null, reason: ban.reason, by: ban.by, expiresAt: ban.expiresAt });
+    }
+    reply(callback);
+    console.log(`${currentUser().username} banned ${target.username}${room ? ` from ${room.id}` : ''}`);
+  }));
+
+  socket.on('unban_user', guard('unban_user', ({ roomId, userId: targetId }, callback) => {
+    const { room, target, error } = findModerationTarget(socket.data.user, { roomId, userId: targetId });
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    if (room) {
+      rooms.unban(room, target.id);
+      emitRoomList();
+    } else {
+      moderation.unban(target.id);
+    }
+    reply(callback);
+  }));
+
+  socket.on('mute_user', guard('mute_user', ({ roomId, userId: targetId, reason, duration }, callback) => {
+    const { room, target, error } = findModerationTarget(socket.data.user, { roomId, userId: targetId });
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    const options = { by: currentUser(), reason, duration };
+    const mute = room
+      ? rooms.activeMute(rooms.mute(room, target.id, options), target.id)
+      : moderation.mute(target.id, options);
+    if (room) emitRoomList();
+    io.to(userRoom(target.id)).emit('muted', {
+      room: room ? room.id : null,
+      reason: mute.reason,
+      by: mute.by,
+      expiresAt: mute.expiresAt,
+    });
+    reply(callback);
+  }));
+
+  socket.on('unmute_user', guard('unmute_user', ({ roomId, userId: targetId }, callback) => {
+    const { room, target, error } = findModerationTarget(socket.data.user, { roomId, userId: targetId });
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    if (room) {
+      rooms.unmute(room, target.id);
+      emitRoomList();
+    } else {
+      moderation.unmute(target.id);
+    }
+    io.to(userRoom(target.id)).emit('unmuted', { room: room ? room.id : null, by: currentUser() });
+    reply(callback);
+  }));
+
+  // Take down someone else's message, with an optional reason shown in its place
+  socket.on('remove_message', guard('remove_message', ({ messageId, reason }, callback) => {
+    const message = store.findMessage(messageId);
+    const room = message && rooms.get(message.room);
+    if (!message || !rooms.canAccess(room, userId)) {
+      return reply(callback, { code: 'MESSAGE_NOT_FOUND', message: 'Message not found' });
+    }
+    if (message.deleted) {
+      return reply(callback, { code: 'MESSAGE_DELETED', message: 'This message has been deleted' });
+    }
+    const { error } = findModerationTarget(socket.data.user, { roomId: room.id, userId: message.userId });
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    const updated = store.updateMessage(messageId, tombstone(currentUser(), {
+      removed: true,
+      removalReason: (reason ?? '').trim(),
+    }));
+    reply(callback, null, { message: updated });
+    io.to(updated.room).emit('message_deleted', updated);
+    if (updated.parentId) refreshThreadSummary(updated.parentId);
+    console.log(`${currentUser().username} removed message ${message.id} in ${message.room}`);
+  }));
+
+  // Room owners (and server moderators) pick the room's moderators
+  socket.on('set_room_role', guard('set_room_role', ({ roomId, userId: targetId, role }, callback) => {
+    const { room, target, error } = findModerationTarget(socket.data.user, { roomId, userId: targetId });
+    if (error) {
+      return reply(callback, error);
+    }
+    if (authorityIn(room, socket.data.user) < AUTHORITY.owner) {
+      return reply(callback, { code: 'FORBIDDEN', message: 'Only the room owner can change roles' });
+    }
+    
+    const { room: updated, error: roleError } = rooms.setRole(room.id, target.id, role);
+    reply(callback, roleError, { role: updated && rooms.roleOf(updated, target.id) });
+    if (updated) emitRoomList();
+  }));
+
+  // Handle message history. `before` pages back from the oldest message the
+  // client has; `since` returns what it missed after the newest one.
+  socket.on('load_messages', guard('load_messages', ({ room, limit = 20, offset = 0, before, since }, callback) => {
+    const { error } = rooms.findAccessible(room, userId);
+    if (error) {
+      return reply(callback, error);
+    }
+    
+    const { messages, hasMore } = store.getMessages(room, { limit, offset, before, since });
+    
+    reply(callback, null, { messages, hasMore });
+  }));
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    if (users[socket.id]) {
-      const { username } = users[socket.id];
-      io.emit('user_left', { username, id: socket.id });
-      console.log(`${username} left the chat`);
+    // The user only leaves once their last tab has gone
+    const { session, isLast } = trackPresence(userId, () => sessions.detach(userId, socket.id));
+    if (isLast) {
+      usernames.release(session.username, userId);
+      io.emit('user_left', { username: session.username, userId, id: userId });
+      console.log(`${session.username} left the chat`);
     }
     
-    delete users[socket.id];
-    delete typingUsers[socket.id];
-    
-    io.emit('user_list', Object.values(users));
-    const roomTypingUsers = Object.values(typingUsers)
-      .filter(user => user.room === 'general')
-      .map(user => user.username);
-    io.emit('typing_users', { users: roomTypingUsers, room: 'general' });
+    typing.stopSocket(socket.id);
+    rateLimiter.forgetSocket(socket.id);
   });
 });
 
+// Auth routes
+const validateCredentials = ({ username, password } = {}, { isRegistration = false } = {}) => {
+  if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+    return 'Username and password are required';
+  }
+  if (!isRegistration) {
+    return null;
+  }
+  const invalidUsername = validateUsername(username);
+  if (invalidUsername) {
+    return invalidUsername.message;
+  }
+  if (password.length < 6) {
+    return 'Password must be at least 6 characters';
+  }
+  return null;
+};
+
+app.post('/api/auth/register', async (req, res) => {
+  const validationError = validateCredentials(req.body, { isRegistration: true });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  if (usernames.isTaken(req.body.username, null)) {
+    return res.status(409).json({ error: 'Username is already taken' });
+  }
+
+  const { account, error } = await accounts.register(req.body.username, req.body.password);
+  if (error) {
+    return res.status(409).json({ error });
+  }
+
+  res.status(201).json({ token: signToken(account), user: toPublicAccount(account) });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const validationError = validateCredentials(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const account = await accounts.verifyCredentials(req.body.username, req.body.password);
+  if (!account) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  res.json({ token: signToken(account), user: toPublicAccount(account) });
+});
+
+// HTTP status for model error codes, anything else is a bad request
+const errorStatus = {
+  FORBIDDEN: 403,
+  NOT_A_MEMBER: 403,
+  MESSAGE_NOT_FOUND: 404,
+  ROOM_NOT_FOUND: 404,
+  ROOM_EXISTS: 409,
+  FILE_NOT_FOUND: 404,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_FILE_TYPE: 415,
+  UPLOAD_FAILED: 500,
+};
+
+const sendError = (res, error) => {
+  res.status(errorStatus[error.code] || 400).json({ error: error.message, code: error.code });
+};
+
 // API routes
-app.get('/api/messages/:room', (req, res) => {
-  const room = req.params.room || 'general';
-  res.json(messages[room] || []);
+app.get('/api/messages/:room', requireAuth, (req, res) => {
+  const room = req.params.room || DEFAULT_ROOM;
+  const { error } = rooms.findAccessible(room, req.user.id);
+  if (error) return sendError(res, error);
+  res.json(store.getMessages(room).messages);
 });
 
 app.get('/api/users', (req, res) => {
-  res.json(Object.values(users));
+  res.json(sessions.list());
+});
+
+// Direct message conversations with their latest message and unread count
+app.get('/api/conversations', requireAuth, (req, res) => {
+  const list = conversations.listFor(req.user.id);
+  const counts = unreadCountsFor(req.user.id, list.map(conversation => conversation.id));
+  res.json(list.map(conversation => ({
+    ...conversation,
+    user: { id: conversation.userId, username: displayName(conversation.userId) },
+    unreadCount: counts[conversation.id].unread,
+  })));
 });
 
-app.get('/api/rooms', (req, res) => {
-  res.json(rooms);
+app.get('/api/rooms', requireAuth, (req, res) => {
+  res.json(roomListFor(req.user));
+});
+
+// Request bodies get the same checks as the matching socket events; a
+// request without a JSON body is treated as an empty one
+app.post('/api/rooms', requireAuth, (req, res) => {
+  const roomData = req.body || {};
+  const invalid = validatePayload('create_room', roomData);
+  if (invalid) return sendError(res, invalid);
+
+  const { room, error } = rooms.create(roomData, req.user);
+  if (error) return sendError(res, error);
+  emitRoomList();
+  res.status(201).json(room);
+});
+
+app.patch('/api/rooms/:roomId', requireAuth, (req, res) => {
+  const changes = req.body || {};
+  const invalid = validatePayload('update_room', { ...changes, roomId: req.params.roomId });
+  if (invalid) return sendError(res, invalid);
+
+  const { room, error } = rooms.update(req.params.roomId, changes, req.user);
+  if (error) return sendError(res, error);
+  emitRoomList();
+  res.json(room);
+});
+
+app.delete('/api/rooms/:roomId', requireAuth, (req, res) => {
+  const { room, error } = rooms.archive(req.params.roomId, req.user);
+  if (error) return sendError(res, error);
+  emitRoomList();
+  res.json(room);
+});
+
+// Browsers may add parameters such as "; charset=utf-8"
+const baseMimeType = (mimetype) => mimetype.split(';')[0].trim().toLowerCase();
+
+// File uploads are held in memory until hashed, so the size limit also
+// bounds memory use
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.uploads.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (config.uploads.allowedTypes.includes(baseMimeType(file.mimetype))) {
+      return cb(null, true);
+    }
+    const error = new Error(`Files of type ${file.mimetype} are not allowed`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    cb(error);
+  },
+});
+
+const receiveUpload = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxMegabytes = Math.round(config.uploads.maxFileSize / (1024 * 1024));
+      return sendError(res, { code: 'FILE_TOO_LARGE', message: `Files must be at most ${maxMegabytes} MB` });
+    }
+    if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+      return sendError(res, { code: err.code, message: err.message });
+    }
+    sendError(res, { code: 'INVALID_UPLOAD', message: err.message });
+  });
+};
+
+app.post('/api/files', requireAuth, receiveUpload, async (req, res) => {
+  if (!req.file) {
+    return sendError(res, { code: 'INVALID_UPLOAD', message: 'Attach a file in the "file" field' });
+  }
+
+  try {
+    const file = await files.save({
+      buffer: req.file.buffer,
+      name: req.file.originalname,
+      type: baseMimeType(req.file.mimetype),
+    }, req.user);
+    res.status(201).json(toPublicFile(file));
+  } catch (err) {
+    console.error('File upload failed:', err);
+    sendError(res, { code: 'UPLOAD_FAILED', message: 'The file could not be saved' });
+  }
+});
+
+// A link for <img> tags and downloads, valid for a few minutes
+app.get('/api/files/:fileId/token', requireAuth, (req, res) => {
+  const file = files.get(req.params.fileId);
+  if (!file || !canAccessFile(file, req.user.id)) {
+    return sendError(res, { code: 'FILE_NOT_FOUND', message: 'File not found' });
+  }
+  res.json(signFileToken(req.user, file.id));
+});
+
+// Downloads support range requests; images open inline, anything else
+// (or ?download=1) is sent as an attachment
+app.get('/api/files/:fileId', requireAuthOrFileToken, (req, res) => {
+  const file = files.get(req.params.fileId);
+  // Files the user may not see are reported as missing
+  if (!file || !canAccessFile(file, req.user.id)) {
+    return sendError(res, { code: 'FILE_NOT_FOUND', message: 'File not found' });
+  }
+
+  const inline = file.type.startsWith('image/') && !req.query.download;
+  res.sendFile(files.pathFor(file), {
+    headers: {
+      'Content-Type': file.type,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=31536000, immutable',
+    },
+  });
 });
 
 // Root route
@@ -256,9 +1509,17 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Flush pending store writes before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    store.close();
+    process.exit(0);
+  });
+});
+
 module.exports = { app, server, io }; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIdempotencyCache } = require('../utils/idempotency');
+const { createStore } = require('../models/store');
+
+test('replays acks for repeated keys', () => {
+  const cache = createIdempotencyCache();
+  cache.set('u1:m1', { success: true, messageId: 'a' });
+  assert.deepStrictEqual(cache.get('u1:m1'), { success: true, messageId: 'a' });
+  assert.strictEqual(cache.get('u1:m2'), null);
+});
+
+test('forgets acks after the ttl', () => {
+  const cache = createIdempotencyCache({ ttl: -1 });
+  cache.set('u1:m1', { success: true });
+  assert.strictEqual(cache.get('u1:m1'), null);
+});
+
+test('remembers acks across a restart of a file store', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'store.json');
+
+  const before = createStore({ type: 'file', file });
+  createIdempotencyCache({ store: before }).set('u1:m1', { success: true, messageId: 'a' });
+  before.close();
+
+  const after = createStore({ type: 'file', file });
+  assert.deepStrictEqual(createIdempotencyCache({ store: after }).get('u1:m1'), { success: true, messageId: 'a' });
+  after.close();
+});
@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+let chat;
+let admin;
+before(async () => {
+  chat = await startServer({ ADMIN_USERS: 'admin' });
+  admin = await chat.join(await chat.register('admin'));
+});
+after(() => chat.stop());
+
+// A null reason is refused, and never takes the server down
+for (const event of ['kick_user', 'ban_user', 'mute_user']) {
+  test(`${event} survives a null reason`, async () => {
+    const target = await chat.register(`target_${event}`);
+    await chat.join(target);
+    const ack = await chat.emit(admin, event, { userId: target.id, reason: null });
+    assert.strictEqual(ack.error?.code, 'INVALID_PAYLOAD', JSON.stringify(ack));
+    assert.strictEqual((await chat.request('GET', '/api/users')).status, 200);
+  });
+}
+
+test('remove_message survives a null reason', async () => {
+  const author = await chat.join(await chat.register('author'));
+  const sent = await chat.emit(author, 'send_message', { message: 'hello', room: 'general' });
+  const ack = await chat.emit(admin, 'remove_message', { messageId: sent.messageId, reason: null });
+  assert.strictEqual(ack.error?.code, 'INVALID_PAYLOAD', JSON.stringify(ack));
+  assert.strictEqual((await chat.request('GET', '/api/users')).status, 200);
+});
+
+test('a null room makes a ban server-wide', async () => {
+  const target = await chat.register('target_server_ban');
+  const ack = await chat.emit(admin, 'ban_user', { roomId: null, userId: target.id });
+  assert.strictEqual(ack.success, true, JSON.stringify(ack));
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../utils/rateLimit');
+
+const events = { send_message: { burst: 2, perSecond: 1 } };
+
+test('rejects events beyond the burst', () => {
+  const limiter = createRateLimiter({ events });
+  const user = { socketId: 's1', userId: 'u1' };
+  assert.strictEqual(limiter.check('send_message', user), null);
+  assert.strictEqual(limiter.check('send_message', user), null);
+  assert.strictEqual(limiter.check('send_message', user).error.code, 'RATE_LIMITED');
+});
+
+test('forgets users once their buckets refill and offences expire', () => {
+  const limiter = createRateLimiter({ events, forgetAfter: 5000 });
+  const now = Date.now();
+  for (let i = 0; i < 3; i++) {
+    limiter.check('send_message', { socketId: 's1', userId: 'flooder' });
+  }
+  limiter.check('send_message', { socketId: 's2', userId: 'quiet' });
+
+  assert.deepStrictEqual(limiter.sweep(now), { users: 2, offenders: 1 });
+  // Both buckets are full again, but the flooder's offence still counts
+  assert.deepStrictEqual(limiter.sweep(now + 3000), { users: 0, offenders: 1 });
+  assert.deepStrictEqual(limiter.sweep(now + 6000), { users: 0, offenders: 0 });
+});
+
+test('keeps muted users until the mute ends', () => {
+  const limiter = createRateLimiter({ events, strikes: 2, muteDuration: 60000, forgetAfter: 1000 });
+  const now = Date.now();
+  for (let i = 0; i < 4; i++) {
+    limiter.check('send_message', { socketId: 's1', userId: 'flooder' });
+  }
+  assert.strictEqual(limiter.check('send_message', { socketId: 's1', userId: 'flooder' }).error.code, 'FLOOD_MUTED');
+  assert.strictEqual(limiter.sweep(now + 30000).offenders, 1);
+  assert.strictEqual(limiter.sweep(now + 61000).offenders, 0);
+});
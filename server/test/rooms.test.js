@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+let chat;
+let owner;
+before(async () => {
+  chat = await startServer();
+  owner = await chat.register('owner');
+});
+after(() => chat.stop());
+
+test('POST /api/rooms creates a room', async () => {
+  const { status, body } = await chat.request('POST', '/api/rooms', { token: owner.token, body: { name: 'club' } });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.name, 'club');
+});
+
+test('POST /api/rooms without a body is a bad request', async () => {
+  const { status, body } = await chat.request('POST', '/api/rooms', { token: owner.token });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'INVALID_PAYLOAD');
+});
+
+test('POST /api/rooms checks the body like create_room', async () => {
+  const { status, body } = await chat.request('POST', '/api/rooms', { token: owner.token, body: { name: 5 } });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'name must be text');
+});
+
+test('PATCH /api/rooms/:roomId without a body changes nothing', async () => {
+  const { status, body } = await chat.request('PATCH', '/api/rooms/club', { token: owner.token });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.name, 'club');
+});
+
+test('PATCH /api/rooms/:roomId checks the body like update_room', async () => {
+  const { status, body } = await chat.request('PATCH', '/api/rooms/club', { token: owner.token, body: { topic: null } });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'INVALID_PAYLOAD');
+});
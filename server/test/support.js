@@ -0,0 +1,67 @@
+// test/support.js - Runs the chat server inside the test process and talks
+// to it the way the client does
+
+const { once } = require('events');
+const { io: connectClient } = require('socket.io-client');
+
+const PASSWORD = 'secret1';
+
+// Starts the server with the given environment. The config is read when
+// server.js is loaded, so each test file gets one server, with its own
+// settings, in its own process.
+const startServer = async (env = {}) => {
+  Object.assign(process.env, {
+    PORT: '0',
+    STORE_TYPE: 'memory',
+    JWT_SECRET: 'test-secret',
+    BCRYPT_SALT_ROUNDS: '4',
+    ...env,
+  });
+  const { server, io } = require('../server');
+  if (!server.listening) await once(server, 'listening');
+  const base = `http://localhost:${server.address().port}`;
+  const sockets = [];
+
+  // Resolves with { status, body } whatever the status
+  const request = async (method, path, { body, token } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  // Resolves with { id, username, token }
+  const register = async (username) => {
+    const { body } = await request('POST', '/api/auth/register', { body: { username, password: PASSWORD } });
+    return { ...body.user, token: body.token };
+  };
+
+  // A socket for the account that has already joined the chat
+  const join = async (account) => {
+    const socket = connectClient(base, { auth: { token: account.token }, transports: ['websocket'] });
+    sockets.push(socket);
+    await once(socket, 'connect');
+    await emit(socket, 'user_join');
+    return socket;
+  };
+
+  // Resolves with the ack, or { timeout: true } when none arrives
+  const emit = (socket, event, ...args) => new Promise((resolve) => {
+    socket.timeout(2000).emit(event, ...args, (err, ack) => resolve(err ? { timeout: true } : ack));
+  });
+
+  const stop = () => {
+    sockets.forEach(socket => socket.disconnect());
+    io.close();
+  };
+
+  return { base, request, register, join, emit, stop };
+};
+
+module.exports = { startServer };
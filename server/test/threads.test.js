@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+let chat;
+before(async () => {
+  chat = await startServer({ MESSAGE_RETENTION_COUNT: '3', RATE_LIMIT_SEND_MESSAGE: '100/50' });
+});
+after(() => chat.stop());
+
+test('reply counts follow edits and deletes', async () => {
+  const socket = await chat.join(await chat.register('alice'));
+  const summaries = [];
+  socket.on('thread_updated', summary => summaries.push(summary));
+
+  const parent = await chat.emit(socket, 'send_message', { message: 'parent', room: 'general' });
+  const first = await chat.emit(socket, 'send_message', { message: 'one', room: 'general', parentId: parent.messageId });
+  const second = await chat.emit(socket, 'send_message', { message: 'two', room: 'general', parentId: parent.messageId });
+  await chat.emit(socket, 'edit_message', { messageId: second.messageId, message: 'two, edited' });
+  await chat.emit(socket, 'delete_message', { messageId: second.messageId });
+  await chat.emit(socket, 'delete_message', { messageId: first.messageId });
+
+  assert.deepStrictEqual(
+    summaries.map(({ replyCount, lastReply }) => [replyCount, lastReply && lastReply.message]),
+    [[1, 'one'], [2, 'two'], [2, 'two, edited'], [1, 'one'], [0, null]]
+  );
+});
+
+test('replies can be changed after their parent is pruned', async () => {
+  const socket = await chat.join(await chat.register('bob'));
+  const parent = await chat.emit(socket, 'send_message', { message: 'parent', room: 'general' });
+  const first = await chat.emit(socket, 'send_message', { message: 'one', room: 'general', parentId: parent.messageId });
+  const second = await chat.emit(socket, 'send_message', { message: 'two', room: 'general', parentId: parent.messageId });
+  for (const message of ['a', 'b', 'c']) {
+    await chat.emit(socket, 'send_message', { message, room: 'general' });
+  }
+
+  const edited = await chat.emit(socket, 'edit_message', { messageId: first.messageId, message: 'one, edited' });
+  assert.strictEqual(edited.success, true);
+  const deleted = await chat.emit(socket, 'delete_message', { messageId: second.messageId });
+  assert.strictEqual(deleted.success, true);
+  // The server is still up
+  assert.strictEqual((await chat.request('GET', '/api/users')).status, 200);
+});
+
+test('earlier replies load a page at a time', async () => {
+  const socket = await chat.join(await chat.register('carol'));
+  const parent = await chat.emit(socket, 'send_message', { message: 'parent', room: 'general' });
+  for (const message of ['r1', 'r2', 'r3']) {
+    await chat.emit(socket, 'send_message', { message, room: 'general', parentId: parent.messageId });
+  }
+
+  const latest = await chat.emit(socket, 'load_thread', { parentId: parent.messageId, limit: 2 });
+  assert.deepStrictEqual(latest.messages.map(reply => reply.message), ['r2', 'r3']);
+  assert.strictEqual(latest.hasMore, true);
+
+  const earlier = await chat.emit(socket, 'load_thread', { parentId: parent.messageId, limit: 2, before: latest.messages[0].id });
+  assert.deepStrictEqual(earlier.messages.map(reply => reply.message), ['r1']);
+  assert.strictEqual(earlier.hasMore, false);
+});
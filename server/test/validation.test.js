@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validatePayload } = require('../utils/validation');
+
+test('accepts payloads that match the schema', () => {
+  assert.strictEqual(validatePayload('send_message', { message: 'hi', room: 'general' }), null);
+  assert.strictEqual(validatePayload('user_join', undefined), null);
+});
+
+test('refuses null in optional fields', () => {
+  assert.deepStrictEqual(validatePayload('kick_user', { userId: 'u1', reason: null }), {
+    code: 'INVALID_PAYLOAD',
+    message: 'reason must be left out rather than null',
+  });
+  assert.strictEqual(validatePayload('update_room', { roomId: 'general', topic: null }).code, 'INVALID_PAYLOAD');
+  assert.strictEqual(validatePayload('user_join', null).code, 'INVALID_PAYLOAD');
+});
+
+test('refuses null in required fields', () => {
+  assert.deepStrictEqual(validatePayload('send_message', { message: null }), {
+    code: 'INVALID_PAYLOAD',
+    message: 'message is required',
+  });
+});
+
+test('accepts null where a rule allows it', () => {
+  assert.strictEqual(validatePayload('ban_user', { roomId: null, userId: 'u1' }), null);
+});
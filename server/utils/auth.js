@@ -0,0 +1,94 @@
+// utils/auth.js - Signed session tokens for REST and socket connections,
+// and short-lived tokens for fetching a single file
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const signToken = (account) =>
+  jwt.sign(
+    { sub: account.id, username: account.username },
+    config.auth.secret,
+    { expiresIn: config.auth.tokenExpiresIn }
+  );
+
+// Returns the verified identity, or null for missing, expired or forged tokens.
+// File tokens are not session tokens and are refused here.
+const verifyToken = (token) => {
+  if (!token) return null;
+  try {
+    const { sub, username, fileId } = jwt.verify(token, config.auth.secret);
+    return fileId ? null : { id: sub, username };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Images and download links are fetched by the browser without our headers,
+// so their URLs carry a token that only opens one file for a few minutes
+// instead of the session token
+const signFileToken = (user, fileId) => {
+  const token = jwt.sign(
+    { sub: user.id, username: user.username, fileId },
+    config.auth.secret,
+    { expiresIn: config.auth.fileTokenExpiresIn }
+  );
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+};
+
+// Returns the identity a file token was issued to, or null unless it is a
+// valid token for this file
+const verifyFileToken = (token, fileId) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, config.auth.secret);
+    return payload.fileId === fileId ? { id: payload.sub, username: payload.username } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+};
+
+const authenticateRequest = (user, req, res, next) => {
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Express middleware: expects "Authorization: Bearer <token>"
+const requireAuth = (req, res, next) => authenticateRequest(verifyToken(bearerToken(req)), req, res, next);
+
+// For routes serving `:fileId`: a session token in the header, or a file
+// token for that file as `?token=`
+const requireAuthOrFileToken = (req, res, next) =>
+  authenticateRequest(
+    verifyToken(bearerToken(req)) || verifyFileToken(req.query.token, req.params.fileId),
+    req, res, next
+  );
+
+// Socket.io handshake middleware: clients pass the token in `auth.token`
+const authenticateSocket = (socket, next) => {
+  const user = verifyToken(socket.handshake.auth?.token);
+
+  if (!user) {
+    return next(new Error('Unauthorized'));
+  }
+
+  socket.data.user = user;
+  next();
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  signFileToken,
+  requireAuth,
+  requireAuthOrFileToken,
+  authenticateSocket,
+};
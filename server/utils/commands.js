@@ -0,0 +1,81 @@
+// utils/commands.js - Slash commands typed into the message box
+//
+// A command is { name, description, args, permission, run }. `args` lists
+// its arguments in order as { name, description, optional, rest }; a `rest`
+// argument takes the remainder of the line. `permission(context)` decides
+// who may use it. `run(args, context)` returns one of:
+//   { reply }    text shown only to the caller
+//   { message }  { text, action } to post in place of the command
+//   { error }    a rejection for the caller's ack
+// Any other fields in the result are passed back in the ack.
+
+const createCommandRegistry = () => {
+  const commands = new Map();
+
+  const register = (command) => {
+    commands.set(command.name, { args: [], permission: () => true, ...command });
+  };
+
+  // "//text" escapes the slash and is sent as the message "/text"
+  const isCommand = (text) => text.startsWith('/') && !text.startsWith('//');
+  const unescape = (text) => (text.startsWith('//') ? text.slice(1) : text);
+
+  const usage = (command) =>
+    [`/${command.name}`, ...command.args.map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`))].join(' ');
+
+  // Splits the rest of the line into the command's arguments, or returns
+  // null when required ones are missing or there are too many
+  const parseArgs = (command, input) => {
+    const args = {};
+    let remaining = input.trim();
+    for (const arg of command.args) {
+      let value = remaining;
+      if (!arg.rest) {
+        [value] = remaining.split(/\s+/, 1);
+      }
+      remaining = remaining.slice(value.length).trim();
+      if (!value && !arg.optional) return null;
+      args[arg.name] = value;
+    }
+    return remaining ? null : args;
+  };
+
+  const execute = (text, context) => {
+    const [, name, input] = text.match(/^\/(\S*)\s*([\s\S]*)$/);
+    const command = commands.get(name.toLowerCase());
+    if (!command) {
+      return { error: { code: 'UNKNOWN_COMMAND', message: `Unknown command /${name}. Type /help to see the commands you can use` } };
+    }
+    if (!command.permission(context)) {
+      return { error: { code: 'FORBIDDEN', message: `You cannot use /${command.name} here` } };
+    }
+
+    const args = parseArgs(command, input);
+    if (!args) {
+      return { error: { code: 'INVALID_COMMAND', message: `Usage: ${usage(command)}` } };
+    }
+    return { ...command.run(args, context), command: command.name };
+  };
+
+  // Autocomplete metadata for the commands the caller may use
+  const list = (context) =>
+    [...commands.values()]
+      .filter(command => command.permission(context))
+      .map(command => ({
+        name: command.name,
+        description: command.description,
+        usage: usage(command),
+        args: command.args.map(({ name, description, optional = false }) => ({ name, description, optional })),
+      }));
+
+  return {
+    register,
+    isCommand,
+    unescape,
+    usage,
+    execute,
+    list,
+  };
+};
+
+module.exports = { createCommandRegistry };
@@ -0,0 +1,41 @@
+// utils/contentFilter.js - Message pipeline stages for unwanted words and links
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches whole words only, so filtering "ass" leaves "class" alone. In
+// 'mask' mode matches become asterisks; in 'block' mode the message is
+// rejected.
+const createWordFilter = ({ words = [], mode = 'mask' } = {}) => {
+  if (words.length === 0) return () => null;
+  const pattern = new RegExp(`(?<![\\w])(?:${words.map(escapeRegExp).join('|')})(?![\\w])`, 'gi');
+
+  return ({ text }) => {
+    const matches = text.match(pattern);
+    if (!matches) return null;
+
+    if (mode === 'block') {
+      return { error: { code: 'MESSAGE_BLOCKED', message: 'Your message contains words that are not allowed' } };
+    }
+    return {
+      text: text.replace(pattern, match => '*'.repeat(match.length)),
+      annotations: { masked: matches.length },
+    };
+  };
+};
+
+// Rejects messages mentioning a blocked domain or any of its subdomains,
+// with or without a scheme, so "http://spam.example", "www.spam.example"
+// and "spam.example/offer" are all caught.
+const createLinkFilter = ({ blockedDomains = [] } = {}) => {
+  if (blockedDomains.length === 0) return () => null;
+  const domains = blockedDomains.map(escapeRegExp).join('|');
+  // A trailing full stop ends the sentence rather than the hostname
+  const pattern = new RegExp(`(?<![\\w.-])(?:[\\w-]+\\.)*(?:${domains})(?![\\w-]|\\.[\\w-])`, 'i');
+
+  return ({ text }) => {
+    if (!pattern.test(text)) return null;
+    return { error: { code: 'LINK_BLOCKED', message: 'Your message links to a site that is not allowed' } };
+  };
+};
+
+module.exports = { createWordFilter, createLinkFilter };
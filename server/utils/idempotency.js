@@ -0,0 +1,58 @@
+// utils/idempotency.js - Remember acks for client-generated message ids
+//
+// Clients attach their own id to every send. When a send is retried (for
+// example after a dropped connection) we answer with the original ack
+// instead of storing the message a second time.
+//
+// Given a store, entries are also saved as records, so a retry from a
+// client's outbox that arrives after a server restart is still recognised.
+
+const COLLECTION = 'sentMessages';
+
+const createIdempotencyCache = ({ store = null, ttl = 10 * 60 * 1000, maxEntries = 10000 } = {}) => {
+  // key -> { value, expiresAt }, in insertion order so the oldest go first
+  const entries = new Map();
+
+  const remove = (key) => {
+    entries.delete(key);
+    if (store) store.deleteRecord(COLLECTION, key);
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt > now && entries.size <= maxEntries) break;
+      remove(key);
+    }
+  };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      remove(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    const entry = { value, expiresAt: Date.now() + ttl };
+    entries.set(key, entry);
+    if (store) store.setRecord(COLLECTION, key, { key, ...entry });
+    prune();
+    return value;
+  };
+
+  if (store) {
+    store.listRecords(COLLECTION)
+      .sort((a, b) => a.expiresAt - b.expiresAt)
+      .forEach(({ key, value, expiresAt }) => entries.set(key, { value, expiresAt }));
+    prune();
+  }
+
+  return { get, set };
+};
+
+module.exports = { createIdempotencyCache };
@@ -0,0 +1,40 @@
+// utils/ids.js - Unique, time-sortable identifiers
+//
+// Ids are built from a millisecond timestamp, a per-process sequence for ids
+// created in the same millisecond, and a random suffix so ids from different
+// processes do not collide. Every part is fixed width, so comparing ids as
+// strings orders them by creation time.
+
+const crypto = require('crypto');
+
+const TIME_LENGTH = 9;
+const SEQUENCE_LENGTH = 3;
+const RANDOM_BYTES = 4;
+
+let lastTime = 0;
+let sequence = 0;
+
+const createId = () => {
+  let now = Date.now();
+
+  if (now <= lastTime) {
+    // Same millisecond (or the clock went backwards): keep counting from the last time
+    now = lastTime;
+    sequence++;
+    if (sequence >= 36 ** SEQUENCE_LENGTH) {
+      now = ++lastTime;
+      sequence = 0;
+    }
+  } else {
+    lastTime = now;
+    sequence = 0;
+  }
+
+  return [
+    now.toString(36).padStart(TIME_LENGTH, '0'),
+    sequence.toString(36).padStart(SEQUENCE_LENGTH, '0'),
+    crypto.randomBytes(RANDOM_BYTES).toString('hex'),
+  ].join('');
+};
+
+module.exports = { createId };
@@ -0,0 +1,40 @@
+// utils/messagePipeline.js - Ordered stages every outgoing message passes through
+//
+// A stage is called with the draft `{ text, annotations }` and the context
+// it is sent in: `{ kind, user, room, to }`, where kind is 'message',
+// 'private', 'file' (a caption) or 'edit'. It returns nothing to let the
+// draft through, `{ text }` to rewrite it, `{ annotations }` to attach
+// metadata, or `{ error }` to reject the message. Later stages see the
+// earlier stages' changes.
+
+const createMessagePipeline = (initialStages = []) => {
+  const stages = [...initialStages];
+
+  const use = (stage) => {
+    stages.push(stage);
+  };
+
+  // Returns { text, annotations } with annotations null when no stage added
+  // any, or { error } from the first stage that rejected the message
+  const run = (text, context) => {
+    let draft = { text, annotations: {} };
+    for (const stage of stages) {
+      const result = stage(draft, context) || {};
+      if (result.error) {
+        return { error: result.error };
+      }
+      draft = {
+        text: result.text !== undefined ? result.text : draft.text,
+        annotations: { ...draft.annotations, ...result.annotations },
+      };
+    }
+    return {
+      text: draft.text,
+      annotations: Object.keys(draft.annotations).length > 0 ? draft.annotations : null,
+    };
+  };
+
+  return { use, run };
+};
+
+module.exports = { createMessagePipeline };
@@ -0,0 +1,130 @@
+// utils/rateLimit.js - Token buckets for socket events
+//
+// Every limited event has a bucket per socket and a larger one per user, so
+// opening more tabs does not multiply the allowance. Users who keep hitting
+// the limit are muted for a while, and disconnected if they carry on after
+// being muted too often. Per-user state is dropped once the user's buckets
+// have refilled and their offences are forgotten, so it does not pile up
+// for everyone who has ever connected.
+
+const createRateLimiter = ({
+  events,
+  userMultiplier = 2,
+  strikes = 10,
+  strikeWindow = 60 * 1000,
+  muteDuration = 60 * 1000,
+  maxMutes = 3,
+  forgetAfter = 10 * 60 * 1000,
+  sweepInterval = 60 * 1000,
+}) => {
+  // socket id or user id -> Map of event -> { tokens, updatedAt }
+  const socketBuckets = new Map();
+  const userBuckets = new Map();
+  // user id -> { strikes: [timestamps], mutes, mutedUntil, lastOffenceAt }
+  const offenders = new Map();
+  let lastSweepAt = Date.now();
+
+  const refill = (buckets, key, event, { burst, perSecond }, now) => {
+    if (!buckets.has(key)) buckets.set(key, new Map());
+    const byEvent = buckets.get(key);
+    const bucket = byEvent.get(event) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    byEvent.set(event, bucket);
+    return bucket;
+  };
+
+  // Milliseconds until a bucket has a whole token again
+  const waitFor = (bucket, { perSecond }) => Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+
+  const offenderFor = (userId, now) => {
+    const offender = offenders.get(userId);
+    if (offender && now - offender.lastOffenceAt < forgetAfter) return offender;
+    const fresh = { strikes: [], mutes: 0, mutedUntil: 0, lastOffenceAt: now };
+    offenders.set(userId, fresh);
+    return fresh;
+  };
+
+  // Counts a rejected event against the user; returns whether they should
+  // now be disconnected
+  const strike = (userId, now) => {
+    const offender = offenderFor(userId, now);
+    offender.lastOffenceAt = now;
+    offender.strikes = [...offender.strikes.filter(time => now - time < strikeWindow), now];
+    if (offender.strikes.length < strikes) return false;
+
+    offender.strikes = [];
+    offender.mutes++;
+    offender.mutedUntil = now + muteDuration;
+    return offender.mutes > maxMutes;
+  };
+
+  const isFull = (bucket, { burst, perSecond }, now) =>
+    bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond >= burst;
+
+  // Forgets users whose buckets are full again and who are neither muted
+  // nor have offences recent enough to count. Returns how many users and
+  // offenders are still tracked.
+  const sweep = (now = Date.now()) => {
+    lastSweepAt = now;
+    userBuckets.forEach((byEvent, userId) => {
+      const idle = [...byEvent].every(([event, bucket]) => {
+        const { burst, perSecond } = events[event];
+        return isFull(bucket, { burst: burst * userMultiplier, perSecond: perSecond * userMultiplier }, now);
+      });
+      if (idle) userBuckets.delete(userId);
+    });
+    offenders.forEach((offender, userId) => {
+      if (offender.mutedUntil <= now && now - offender.lastOffenceAt >= forgetAfter) offenders.delete(userId);
+    });
+    return { users: userBuckets.size, offenders: offenders.size };
+  };
+
+  // Takes a token for the event. Returns null when it may go ahead,
+  // otherwise `{ error, disconnect }`.
+  const check = (event, { socketId, userId }) => {
+    const limit = events[event];
+    if (!limit) return null;
+    const now = Date.now();
+    if (now - lastSweepAt >= sweepInterval) sweep(now);
+
+    // Rejections while muted are not held against the user again
+    const offender = offenders.get(userId);
+    if (offender && offender.mutedUntil > now) {
+      return {
+        error: {
+          code: 'FLOOD_MUTED',
+          message: 'You have been muted for sending too fast',
+          retryAfter: offender.mutedUntil - now,
+        },
+        disconnect: false,
+      };
+    }
+
+    const userLimit = { burst: limit.burst * userMultiplier, perSecond: limit.perSecond * userMultiplier };
+    const socketBucket = refill(socketBuckets, socketId, event, limit, now);
+    const userBucket = refill(userBuckets, userId, event, userLimit, now);
+    if (socketBucket.tokens >= 1 && userBucket.tokens >= 1) {
+      socketBucket.tokens--;
+      userBucket.tokens--;
+      return null;
+    }
+
+    return {
+      error: {
+        code: 'RATE_LIMITED',
+        message: 'You are doing that too fast, slow down',
+        retryAfter: Math.max(waitFor(socketBucket, limit), waitFor(userBucket, userLimit)),
+      },
+      disconnect: strike(userId, now),
+    };
+  };
+
+  const forgetSocket = (socketId) => {
+    socketBuckets.delete(socketId);
+  };
+
+  return { check, forgetSocket, sweep };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,53 @@
+// utils/typing.js - Who is typing in each room or conversation
+//
+// Clients keep sending `typing` while the user types. Entries that are not
+// refreshed within the ttl expire, so a client that goes away without a
+// stop event does not leave a stale indicator behind.
+
+const createTypingTracker = ({ ttl = 5000, onChange = () => {} } = {}) => {
+  // channel -> Map of user id -> { userId, username, socketId, to, timer }
+  const channels = new Map();
+
+  const usersIn = (channel) =>
+    [...(channels.get(channel)?.values() || [])].map(({ userId, username }) => ({ userId, username }));
+
+  const stop = (channel, userId) => {
+    const entries = channels.get(channel);
+    const entry = entries && entries.get(userId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entries.delete(userId);
+    if (entries.size === 0) channels.delete(channel);
+    onChange(channel, entry);
+  };
+
+  // `to` is the other participant when the channel is a conversation
+  const start = (channel, { userId, username, socketId, to = null }) => {
+    if (!channels.has(channel)) channels.set(channel, new Map());
+    const entries = channels.get(channel);
+    const existing = entries.get(userId);
+    if (existing) clearTimeout(existing.timer);
+
+    const timer = setTimeout(() => stop(channel, userId), ttl);
+    timer.unref();
+    const entry = { userId, username, socketId, to, timer };
+    entries.set(userId, entry);
+    if (!existing || existing.username !== username) onChange(channel, entry);
+  };
+
+  // Clears whatever a socket was typing, when it changes room or disconnects
+  const stopSocket = (socketId) => {
+    const typed = [];
+    channels.forEach((entries, channel) => {
+      entries.forEach(entry => {
+        if (entry.socketId === socketId) typed.push([channel, entry.userId]);
+      });
+    });
+    typed.forEach(([channel, userId]) => stop(channel, userId));
+  };
+
+  return { usersIn, start, stop, stopSocket };
+};
+
+module.exports = { createTypingTracker };
@@ -0,0 +1,163 @@
+// utils/validation.js - Payload schemas for socket events
+//
+// Each event declares the shape of its payload. Rules cover types, sizes and
+// which fields may appear at all; whether a room exists or a user may act
+// is still up to the handler and models.
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_ID_LENGTH = 100;
+const MAX_PAGE_SIZE = 100;
+
+// Rule helpers. Undefined values count as missing. Null is refused unless
+// the rule is nullable, since handler defaults only cover undefined.
+const string = (max, options = {}) => ({ type: 'string', max, ...options });
+const integer = (min, max, options = {}) => ({ type: 'integer', min, max, ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+const optional = (rule) => ({ ...rule, optional: true });
+const nullable = (rule) => ({ ...rule, nullable: true });
+
+const id = string(MAX_ID_LENGTH);
+// Client-generated message ids, which make sends idempotent
+const clientId = { type: 'clientId', optional: true };
+const roomId = string(64);
+// Moderation acts server-wide when the room is left out or null
+const moderationRoom = nullable(optional(roomId));
+const pageSize = optional(integer(1, MAX_PAGE_SIZE));
+// Bans and mutes last this many seconds, or until lifted when left out
+const duration = optional(integer(1, 365 * 24 * 60 * 60));
+
+const eventSchemas = {
+  user_join: optional(string(64)),
+  set_status: object({ status: optional(string(16)), statusMessage: optional(string(200)) }),
+  set_idle: object({ idle: boolean() }),
+  send_message: object({
+    message: string(MAX_MESSAGE_LENGTH),
+    room: optional(roomId),
+    parentId: optional(id),
+    messageId: clientId,
+  }),
+  list_commands: object({ room: optional(roomId) }),
+  load_mentions: object({ limit: pageSize }),
+  load_thread: object({ parentId: id, limit: pageSize, offset: optional(integer(0)), before: optional(id) }),
+  typing: object({ room: optional(roomId), to: optional(id), isTyping: boolean() }),
+  private_message: object({
+    to: id,
+    message: optional(string(MAX_MESSAGE_LENGTH)),
+    fileId: optional(id),
+    messageId: clientId,
+  }),
+  load_conversation: object({ userId: id, limit: pageSize, before: optional(id), since: optional(id) }),
+  join_room: roomId,
+  create_room: object({
+    name: string(64),
+    topic: optional(string(200)),
+    description: optional(string(1000)),
+    visibility: optional(string(16)),
+  }),
+  update_room: object({
+    roomId,
+    name: optional(string(64)),
+    topic: optional(string(200)),
+    description: optional(string(1000)),
+  }),
+  archive_room: object({ roomId }),
+  invite_to_room: object({ roomId, userId: id }),
+  accept_invite: object({ roomId }),
+  decline_invite: object({ roomId }),
+  leave_room: object({ roomId }),
+  get_room_members: object({ roomId }),
+  send_file: object({
+    fileId: id,
+    room: optional(roomId),
+    caption: optional(string(MAX_MESSAGE_LENGTH)),
+    messageId: clientId,
+  }),
+  add_reaction: object({ messageId: id, reaction: string(16) }),
+  // Channel names are keys, so they are checked as a map of message ids
+  mark_read: object({ cursors: { type: 'map', values: id, maxEntries: 200 } }),
+  edit_message: object({ messageId: id, message: string(MAX_MESSAGE_LENGTH) }),
+  delete_message: object({ messageId: id }),
+  kick_user: object({ roomId: moderationRoom, userId: id, reason: optional(string(200)) }),
+  ban_user: object({ roomId: moderationRoom, userId: id, reason: optional(string(200)), duration }),
+  unban_user: object({ roomId: moderationRoom, userId: id }),
+  mute_user: object({ roomId: moderationRoom, userId: id, reason: optional(string(200)), duration }),
+  unmute_user: object({ roomId: moderationRoom, userId: id }),
+  remove_message: object({ messageId: id, reason: optional(string(200)) }),
+  set_room_role: object({ roomId, userId: id, role: string(16) }),
+  load_messages: object({
+    room: roomId,
+    limit: pageSize,
+    offset: optional(integer(0)),
+    before: optional(id),
+    since: optional(id),
+  }),
+};
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Returns a description of the first problem with a value, or null
+const check = (value, rule, path) => {
+  if (value === undefined || (value === null && rule.nullable)) {
+    return rule.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return rule.optional ? `${path} must be left out rather than null` : `${path} is required`;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be text`;
+      if (rule.max !== undefined && value.length > rule.max) {
+        return `${path} must be at most ${rule.max} characters`;
+      }
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${path} must be a whole number`;
+      if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be true or false`;
+    case 'clientId':
+      return (typeof value === 'string' || typeof value === 'number') && String(value).length <= MAX_ID_LENGTH
+        ? null
+        : `${path} must be a short string or number`;
+    case 'map': {
+      if (!isPlainObject(value)) return `${path} must be an object`;
+      const entries = Object.entries(value);
+      if (entries.length > rule.maxEntries) return `${path} has too many entries`;
+      for (const [key, entry] of entries) {
+        const problem = check(entry, rule.values, `${path}.${key}`);
+        if (problem) return problem;
+      }
+      return null;
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return `${path} must be an object`;
+      const unknown = Object.keys(value).find(key => !Object.hasOwn(rule.fields, key));
+      if (unknown) return `Unknown field "${unknown}"`;
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        const problem = check(value[key], fieldRule, key);
+        if (problem) return problem;
+      }
+      return null;
+    }
+    default:
+      throw new Error(`Unknown rule type: ${rule.type}`);
+  }
+};
+
+// Validates an event's payload against its schema. Returns an error for
+// the ack, or null when the payload is fine.
+const validatePayload = (event, payload) => {
+  const schema = eventSchemas[event];
+  if (!schema) {
+    throw new Error(`No payload schema for socket event "${event}"`);
+  }
+  const problem = check(payload, schema, 'Payload');
+  return problem ? { code: 'INVALID_PAYLOAD', message: problem } : null;
+};
+
+module.exports = { validatePayload };